@@ -3,25 +3,49 @@
  */
 'use strict';
 
+import base64url from 'base64url-universal';
 import cryptoLd from 'crypto-ld';
 const {Ed25519KeyPair} = cryptoLd;
+import {AsymmetricKey} from './AsymmetricKey.js';
 import {Kek} from './Kek.js';
+import {KeyAgreementKey} from './KeyAgreementKey.js';
 import {Hmac} from './Hmac.js';
+import * as base32 from './base32.js';
+import {createBackup, openBackup, toText} from './backup.js';
+import crypto from './crypto.js';
+import {createDerivation, deriveSeed} from './kdf.js';
 import {SeedCache} from './SeedCache.js';
 import {KmsService} from './KmsService.js';
+import {WebAuthn} from './WebAuthn.js';
 
 const VERSIONS = ['recommended', 'fips'];
+// the HMAC key types for each HMAC algorithm
+const HMAC_TYPES = {
+  HS256: 'Sha256HmacKey2019',
+  HS384: 'Sha384HmacKey2019',
+  HS512: 'Sha512HmacKey2019'
+};
+// the HMAC algorithms allowed by each version; HS384 is only offered for
+// `fips`, for compliance regimes that require SHA-384, because it is no
+// faster and no stronger than HS512
+const HMAC_ALGORITHMS = {
+  recommended: ['HS256', 'HS512'],
+  fips: ['HS256', 'HS384', 'HS512']
+};
+const RECOVERY_CODE_SIZE = 20;
 const _seedCache = new SeedCache();
 
 export class AccountMasterKey {
   /**
    * Creates a new instance of an AccountMasterKey. This function should never
    * be called directly. Use one of these methods to create an AccountMasterKey
-   * instance.
+   * instance. For a shared account, set the `controllers`, `threshold` and
+   * `cosigners` properties of the instance afterwards.
    *
    * @example
    * AccountMasterKey.fromSecret();
    * AccountMasterKey.fromCache();
+   * AccountMasterKey.fromBackup();
    * AccountMasterKey.fromBiometric();
    * AccountMasterKey.fromFido();
    *
@@ -33,54 +57,126 @@ export class AccountMasterKey {
    * @param {Object} options.kmsService - The kmsService to use to perform
    *   key operations.
    * @param {string} options.kmsPlugin - The ID of the KMS plugin to use.
+   * @param {string} [options.recoveryController] - The ID of the account's
+   *   recovery controller, as returned by `createRecoveryCode`; it is added
+   *   as a controller of every generated key.
+   * @param {Object} [options.derivation] - The derivation descriptor used to
+   *   derive this master key from a secret, if any.
+   * @param {Array<string>} [options.controllers] - The IDs of other master
+   *   keys, such as those of the other members of a shared account, to add
+   *   as controllers of every generated key; any one controller may use a
+   *   key unless `threshold` is set.
+   * @param {number} [options.threshold] - The number of controllers that
+   *   must sign every operation on the keys this master key generates.
+   * @param {Array<Object>} [options.cosigners] - The signers of other
+   *   controllers, such as another member's `masterKey.signer`, that sign
+   *   every key operation along with `signer` to meet a key's threshold.
+   * @param {Uint8Array} [options.seed] - The seed `signer` was generated
+   *   from; it is only kept if `exportable` is set.
+   * @param {boolean} [options.exportable=false] - `true` to keep `seed` in
+   *   memory so that this master key can be exported via `export`.
+   * @param {string|null} [options.secretController] - The ID of the
+   *   controller derived from the account's secret, which `changeSecret`
+   *   replaces; defaults to `signer.id`. It is `null` when it is unknown,
+   *   such as for a master key created via `fromRecoveryCode`; every
+   *   controller of a key other than `recoveryController` and `controllers`
+   *   is then replaced.
    *
    * @returns {AccountMasterKey} Key information.
    */
-  constructor({accountId, signer, kmsService, kmsPlugin}) {
+  constructor({
+    accountId, signer, kmsService, kmsPlugin, recoveryController, derivation,
+    controllers = [], threshold, cosigners = [], seed, exportable = false,
+    secretController = signer.id
+  }) {
     this.accountId = accountId;
     this.signer = signer;
     this.kmsService = kmsService;
     this.kmsPlugin = kmsPlugin;
+    this.recoveryController = recoveryController;
+    this.derivation = derivation;
+    this.controllers = controllers;
+    this.threshold = threshold;
+    this.cosigners = cosigners;
+    this.exportable = exportable;
+    // the seed allows anyone to act as this master key, so it is only kept
+    // in memory when it must be exported
+    this._seed = exportable ? seed : undefined;
+    this.secretController = secretController;
+    this.locked = false;
   }
 
   /**
-   * Generates a key. The key can be a key encryption key (KEK) or an HMAC
-   * key. It can be generated using a FIPS-compliant algorithm or the latest
-   * recommended algorithm.
+   * Generates a key. The key can be a key encryption key (KEK), an HMAC
+   * key, an asymmetric signing key or a key agreement key. It can be
+   * generated using the latest recommended algorithm or a FIPS-compliant
+   * algorithm. The KMS plugin must support the key type and, for `fips`,
+   * keep keys in a FIPS-validated module; this is checked before the key is
+   * generated if the KMS service supports plugin discovery.
    *
    * @param {Object} options - The options to use.
-   * @param {string} options.type - The type of key to create (`hmac` or `kek`).
+   * @param {string} options.type - The type of key to create (`hmac`, `kek`,
+   *   `asymmetric` or `keyAgreement`).
    * @param {string} [options.version=recommended] - `fips` to
    *   use FIPS-compliant ciphers, `recommended` to use the latest recommended
    *   ciphers.
+   * @param {string} [options.algorithm=HS256] - The algorithm of an `hmac`
+   *   key: `HS256` or `HS512` and, for `fips`, `HS384`. It may not be given
+   *   for other types of keys.
    *
-   * @returns {Promise<Object>} A Kek or Hmac instance.
+   * @returns {Promise<Object>} The new key instance: a Kek, an Hmac,
+   *   an AsymmetricKey or a KeyAgreementKey.
    */
-  async generateKey({type, version = 'recommended'}) {
+  async generateKey({type, version = 'recommended', algorithm}) {
     _assertVersion(version);
+    if(algorithm !== undefined && type !== 'hmac') {
+      throw new Error('"algorithm" may only be given for "hmac" keys.');
+    }
 
-    // for the time being, fips and recommended are the same; there is no
-    // other standardized key wrapping algorithm
+    // for the time being, fips and recommended are the same for KEK; there
+    // is no other standardized key wrapping algorithm
     let Class;
     if(type === 'hmac') {
-      type = 'Sha256HmacKey2019';
+      algorithm = algorithm === undefined ? 'HS256' : algorithm;
+      if(!HMAC_ALGORITHMS[version].includes(algorithm)) {
+        throw new Error(
+          `Unsupported HMAC algorithm "${algorithm}" for version ` +
+          `"${version}".`);
+      }
+      type = HMAC_TYPES[algorithm];
       Class = Hmac;
     } else if(type === 'kek') {
       type = 'AesKeyWrappingKey2019';
       Class = Kek;
+    } else if(type === 'asymmetric') {
+      type = version === 'fips' ?
+        'EcdsaSecp256r1VerificationKey2019' : 'Ed25519VerificationKey2018';
+      Class = AsymmetricKey;
+    } else if(type === 'keyAgreement') {
+      type = version === 'fips' ?
+        'EcdhSecp256r1KeyAgreementKey2019' : 'X25519KeyAgreementKey2019';
+      Class = KeyAgreementKey;
     } else {
       throw new Error(`Unknown key type "${type}".`);
     }
 
-    const {kmsService, kmsPlugin: plugin, signer} = this;
-    const id = await kmsService.generateKey({plugin, type, signer});
-    return new Class({id, kmsService, signer});
+    const {kmsService, kmsPlugin: plugin, threshold} = this;
+    const signer = this._getSigner();
+    const controller = this._getControllers();
+    const id = await kmsService.generateKey({
+      plugin, type, signer, controller, threshold, fips: version === 'fips'
+    });
+    if(Class === AsymmetricKey || Class === KeyAgreementKey) {
+      return new Class({id, type, kmsService, signer});
+    }
+    return new Class({id, type, kmsService, signer, threshold});
   }
 
   /**
    * Gets a KEK API for wrapping and unwrapping cryptographic keys. The key ID
    * is presumed to be scoped to the KMS service and plugin assigned
-   * to this account master key instance.
+   * to this account master key instance. The key's description is fetched
+   * from the KMS service to ensure that it is a supported KEK.
    *
    * @param {Object} options - The options to use.
    * @param {string} options.id - The ID of the KEK.
@@ -88,15 +184,42 @@ export class AccountMasterKey {
    * @returns {Promise<Object>} The new Kek instance.
    */
   async getKek({id}) {
-    const {kmsService, signer} = this;
-    // FIXME: call kmsService.getKeyDescription()? ...get key `type`?
-    return new Kek({id, kmsService, signer});
+    const {kmsService} = this;
+    const signer = this._getSigner();
+    const {type, algorithm, previousKey, rotated, state, threshold} =
+      await kmsService.getKeyDescription({keyId: id, signer});
+    const lineage = previousKey ? {previousKey, rotated} : undefined;
+    return new Kek(
+      {id, type, algorithm, kmsService, signer, lineage, state, threshold});
+  }
+
+  /**
+   * Rotates a KEK by generating a successor KEK of the same type. The
+   * successor records the ID of the KEK it replaces and the date of the
+   * rotation as its `lineage`. Keys wrapped by the previous KEK can be moved
+   * to the successor using `rewrap` or `rewrapAll`.
+   *
+   * @param {Object} options - The options to use.
+   * @param {Kek} options.kek - The KEK to rotate.
+   *
+   * @returns {Promise<Kek>} The successor Kek instance.
+   */
+  async rotateKek({kek}) {
+    const {kmsService, kmsPlugin: plugin, threshold} = this;
+    const {type} = kek;
+    const signer = this._getSigner();
+    const controller = this._getControllers();
+    const lineage = {previousKey: kek.id, rotated: new Date().toISOString()};
+    const id = await kmsService.generateKey(
+      {plugin, type, signer, controller, threshold, lineage});
+    return new Kek({id, type, kmsService, signer, lineage, threshold});
   }
 
   /**
    * Gets an HMAC API for signing and verifying cryptographic keys. The key ID
    * is presumed to be scoped to the KMS service and plugin assigned
-   * to this account master key instance.
+   * to this account master key instance. The key's description is fetched
+   * from the KMS service to ensure that it is a supported HMAC key.
    *
    * @param {Object} options - The options to use.
    * @param {string} options.id - The ID of the HMAC key.
@@ -104,9 +227,280 @@ export class AccountMasterKey {
    * @returns {Promise<Object>} The new Hmac instance.
    */
   async getHmac({id}) {
+    const {kmsService} = this;
+    const signer = this._getSigner();
+    const {type, algorithm, state, threshold} =
+      await kmsService.getKeyDescription({keyId: id, signer});
+    return new Hmac(
+      {id, type, algorithm, kmsService, signer, state, threshold});
+  }
+
+  /**
+   * Gets an API for signing data with an asymmetric key. The key ID is
+   * presumed to be scoped to the KMS service and plugin assigned to this
+   * account master key instance. The key's description is fetched from
+   * the KMS service to ensure that it is a supported asymmetric key.
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.id - The ID of the asymmetric key.
+   *
+   * @returns {Promise<Object>} The new AsymmetricKey instance.
+   */
+  async getAsymmetricKey({id}) {
+    const {kmsService} = this;
+    const signer = this._getSigner();
+    const {type, algorithm} = await kmsService.getKeyDescription(
+      {keyId: id, signer});
+    return new AsymmetricKey({id, type, algorithm, kmsService, signer});
+  }
+
+  /**
+   * Gets an API for deriving shared secrets with a key agreement key. The
+   * key ID is presumed to be scoped to the KMS service and plugin assigned
+   * to this account master key instance. The key's description is fetched
+   * from the KMS service to ensure that it is a supported key agreement key.
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.id - The ID of the key agreement key.
+   *
+   * @returns {Promise<Object>} The new KeyAgreementKey instance.
+   */
+  async getKeyAgreementKey({id}) {
+    const {kmsService} = this;
+    const signer = this._getSigner();
+    const {type, algorithm} = await kmsService.getKeyDescription(
+      {keyId: id, signer});
+    return new KeyAgreementKey({id, type, algorithm, kmsService, signer});
+  }
+
+  /**
+   * Delegates an authorization capability for one of this account's keys to
+   * another party. The invoker can then use the key by passing the returned
+   * capability as `capability` when constructing a key API such as `Kek`,
+   * without access to this master key.
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.keyId - The ID of the key.
+   * @param {string} options.invoker - The ID of the party that may invoke
+   *   the capability, such as a DID or key ID.
+   * @param {Array<string>} options.allowedActions - The actions that may be
+   *   performed with the key: `wrapKey`, `unwrapKey`, `sign`, `verify` or
+   *   `deriveSecret`.
+   * @param {Date|string} [options.expires] - When the capability expires.
+   *
+   * @returns {Promise<Object>} The signed delegated capability.
+   */
+  async delegateCapability({keyId, invoker, allowedActions, expires}) {
     const {kmsService, signer} = this;
-    // FIXME: call kmsService.getKeyDescription()? ...get key `type`?
-    return new Hmac({id, kmsService, signer});
+    return kmsService.delegateCapability(
+      {keyId, invoker, allowedActions, expires, signer});
+  }
+
+  /**
+   * Changes the secret for this master key. Every key that this master key
+   * controls in its KMS plugin is transferred to the master key derived
+   * from `newSecret`, after which this instance uses the new master key. If
+   * the old master key was cached, the cache is updated. Key APIs, such as
+   * `Kek` and `Hmac` instances, created before the change still sign with
+   * the old master key, which no longer controls their keys; get them again
+   * via `getKek`, `getHmac` and so on.
+   *
+   * @param {Object} options - The options to use.
+   * @param {string|Uint8Array} [options.oldSecret] - The current secret,
+   *   which must match this master key. It is required unless this master
+   *   key was created via `fromRecoveryCode`.
+   * @param {string|Uint8Array} options.newSecret - The new secret.
+   * @param {Object} [options.derivation] - The derivation descriptor to use
+   *   with `newSecret`, as returned by `createDerivation`; defaults to the
+   *   current one. Pass a new descriptor to upgrade an account to a stronger
+   *   derivation; it must be stored in place of the current one.
+   * @param {SeedCache} [options.cache] - The cache to update; defaults to
+   *   the default cache.
+   *
+   * @returns {Promise<undefined>} On completion.
+   */
+  async changeSecret({
+    oldSecret, newSecret, derivation = this.derivation, cache = _seedCache
+  }) {
+    const {accountId, recoveryController} = this;
+    // only a master key created via `fromRecoveryCode` has no secret
+    if(oldSecret === undefined && this.secretController !== null) {
+      throw new TypeError('"oldSecret" must be a string or Uint8Array.');
+    }
+    if(oldSecret !== undefined) {
+      const seed = await deriveSeed({
+        secret: _secretToUint8Array(oldSecret), accountId,
+        derivation: this.derivation
+      });
+      const {id} = await _signerFromSeed({seed});
+      if(id !== this.signer.id) {
+        throw new Error('"oldSecret" does not match this master key.');
+      }
+    }
+
+    const seed = await deriveSeed(
+      {secret: _secretToUint8Array(newSecret), accountId, derivation});
+    const signer = await _signerFromSeed({seed});
+    await this._transferKeys({signer, recoveryController});
+
+    if(await cache.get({accountId})) {
+      await cache.set({accountId, seed});
+    }
+    this.signer = signer;
+    this.secretController = signer.id;
+    this.derivation = derivation;
+    if(this.exportable) {
+      this._seed = seed;
+    }
+  }
+
+  /**
+   * Creates a new recovery code for this account. The code derives a
+   * secondary controller that is added to every key this master key
+   * controls; pass the returned `recoveryController` when creating master
+   * keys for this account so that it is also added to new keys. Any previous
+   * recovery code stops working. The code is not stored anywhere, so it must
+   * be shown to the user to be printed or written down.
+   *
+   * @returns {Promise<Object>} Resolves to an object with `recoveryCode`
+   *   and `recoveryController`.
+   */
+  async createRecoveryCode() {
+    const recoveryCode = _encodeRecoveryCode(
+      crypto.getRandomValues(new Uint8Array(RECOVERY_CODE_SIZE)));
+    const {id: recoveryController} = await _signerFromSeed({
+      seed: await _seedFromRecoveryCode(
+        {recoveryCode, accountId: this.accountId})
+    });
+    await this._transferKeys({signer: this.signer, recoveryController});
+    this.recoveryController = recoveryController;
+    return {recoveryCode, recoveryController};
+  }
+
+  /**
+   * Locks this master key by dropping its signer and seed from memory. Any
+   * further operation that this master key signs fails, including those of
+   * key APIs such as `Kek` and `Hmac` that it created. A locked master key
+   * cannot be unlocked; create a new instance via one of the factory
+   * methods instead. Cached seeds are not cleared; see `clearCache`.
+   *
+   * @returns {undefined}
+   */
+  lock() {
+    // key APIs share the signer object, so replacing its `sign` function
+    // releases the private key and stops them too
+    const {signer} = this;
+    signer.sign = async () => {
+      throw new Error('The master key is locked.');
+    };
+    signer.locked = true;
+    this._seed = undefined;
+    this.locked = true;
+  }
+
+  /**
+   * Exports this master key as a password-encrypted backup that can be
+   * restored on another device via `fromBackup`. The backup includes the
+   * master key's seed, so anyone with both the backup and its password
+   * controls the account's keys; a strong password must be used. Only a
+   * master key that was created with `exportable` set can be exported.
+   *
+   * @param {Object} options - The options to use.
+   * @param {string|Uint8Array} options.password - The password to encrypt
+   *   the backup with.
+   * @param {string} [options.version=recommended] - `fips` to derive the
+   *   encryption key from the password with PBKDF2, `recommended` to use
+   *   scrypt.
+   *
+   * @returns {Promise<Object>} Resolves to an object with `bundle`, the
+   *   backup as a JSON-serializable object, and `text`, the backup as text
+   *   that is suitable for a QR code.
+   */
+  async export({password, version = 'recommended'}) {
+    _assertVersion(version);
+    if(!this.exportable) {
+      throw new Error(
+        'This master key cannot be exported because it was not created ' +
+        'with "exportable" set.');
+    }
+    if(!this._seed) {
+      throw new Error(
+        'This master key cannot be exported because its seed is unknown.');
+    }
+    const {accountId, kmsPlugin, derivation, recoveryController} = this;
+    const bundle = await createBackup({
+      accountId, seed: this._seed, password, version,
+      data: {kmsPlugin, derivation, recoveryController}
+    });
+    return {bundle, text: toText(bundle)};
+  }
+
+  _getSigner({signer = this.signer} = {}) {
+    // cosigners add their own invocation proofs to meet a key's threshold
+    const {cosigners} = this;
+    return cosigners.length > 0 ? [signer, ...cosigners] : signer;
+  }
+
+  _getControllers() {
+    const {signer, recoveryController, controllers} = this;
+    const controller = [signer.id];
+    if(recoveryController) {
+      controller.push(recoveryController);
+    }
+    const unique = [...new Set([...controller, ...controllers])];
+    return unique.length === 1 ? unique[0] : unique;
+  }
+
+  async _transferKeys({signer, recoveryController}) {
+    const {kmsService, kmsPlugin: plugin} = this;
+    const controller = [signer.id];
+    if(recoveryController && recoveryController !== signer.id) {
+      controller.push(recoveryController);
+    }
+    // only this master key's own controllers are replaced; any others, such
+    // as those of a shared account, are kept
+    const {secretController, controllers: kept} = this;
+    const isReplaced = secretController === null ?
+      c => c !== this.recoveryController && !kept.includes(c) :
+      c => c === secretController || c === this.recoveryController;
+
+    // first add the new controllers to every key so that a failure part way
+    // through leaves every key usable by this master key, then remove any
+    // old controllers using the new signer
+    const keys = await kmsService.listKeys({plugin, signer: this.signer});
+    await _updateControllers({
+      kmsService,
+      keys,
+      signer: this._getSigner(),
+      getController: key => [...new Set([
+        ..._toArray(key.controller), ...controller])]
+    });
+    await _updateControllers({
+      kmsService,
+      keys,
+      signer: this._getSigner({signer}),
+      getController: key => [...new Set([
+        ...controller,
+        ..._toArray(key.controller).filter(c => !isReplaced(c))])]
+    });
+  }
+
+  /**
+   * Creates a new derivation descriptor for use with `fromSecret`. The
+   * descriptor names the key derivation function and its parameters,
+   * including a random salt. It is not secret, but it must be stored with
+   * the account and passed to `fromSecret` every time, or a different master
+   * key will be derived.
+   *
+   * @param {Object} [options] - The options to use.
+   * @param {string} [options.version=recommended] - `fips` to use PBKDF2,
+   *   `recommended` to use the memory-hard scrypt function.
+   *
+   * @returns {Object} The derivation descriptor.
+   */
+  static createDerivation({version = 'recommended'} = {}) {
+    _assertVersion(version);
+    return createDerivation({version});
   }
 
   /**
@@ -117,37 +511,43 @@ export class AccountMasterKey {
    *   bcrypt hash.
    * @param {string} options.accountId - The ID of the account associated
    *   with this master key.
+   * @param {Object} [options.derivation] - The derivation descriptor for the
+   *   account, as returned by `createDerivation`; if omitted, the seed is
+   *   derived with a single SHA-256 hash as in earlier releases, which
+   *   should only be used for existing accounts.
    * @param {Object} options.kmsService - The kmsService to use to
    *   perform key operations.
    * @param {string} options.kmsPlugin - The ID of the KMS plugin to use.
-   * @param {boolean} [options.cache=true] - Use `true` to cache the key,
-   *   `false` not to; a cached key must be cleared via `clearCache` or it will
-   *   persist until the user clears their local website storage.
+   * @param {boolean|SeedCache} [options.cache=true] - Use `true` to cache
+   *   the key in the default cache, a `SeedCache` instance to cache it there,
+   *   or `false` not to cache it; a cached key must be cleared via
+   *   `clearCache` or it will persist until it expires or the user clears
+   *   their local website storage.
+   * @param {string} [options.recoveryController] - The ID of the account's
+   *   recovery controller, as returned by `createRecoveryCode`; it is added
+   *   as a controller of every generated key.
+   * @param {boolean} [options.exportable=false] - `true` to keep the
+   *   master key's seed in memory so that it can be exported via `export`.
    *
    * @returns {Promise<AccountMasterKey>} The new AccountMasterKey instance.
    */
-  static async fromSecret(
-    {secret, accountId, kmsService, kmsPlugin, cache = true}) {
-    if(typeof secret === 'string') {
-      secret = _strToUint8Array(secret);
-    } else if(!(secret instanceof Uint8Array)) {
-      throw new TypeError('"secret" must be a Uint8Array or a string.');
-    }
-
-    // prefix secret and compute a SHA-256 hash as the seed for the key
-    const prefix = _strToUint8Array(`bedrock-web-kms:${accountId}:`);
-    const data = new Uint8Array(prefix.length + secret.length);
-    data.set(prefix);
-    data.set(secret, prefix.length);
-    const seed = new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+  static async fromSecret({
+    secret, accountId, derivation, kmsService, kmsPlugin, cache = true,
+    recoveryController, exportable = false
+  }) {
+    secret = _secretToUint8Array(secret);
+    const seed = await deriveSeed({secret, accountId, derivation});
 
     // cache seed if requested
     if(cache) {
-      await _seedCache.set({accountId, seed});
+      await _getSeedCache(cache).set({accountId, seed});
     }
 
     const signer = await _signerFromSeed({seed});
-    return new AccountMasterKey({accountId, signer, kmsService, kmsPlugin});
+    return new AccountMasterKey({
+      accountId, signer, kmsService, kmsPlugin, recoveryController,
+      derivation, seed, exportable
+    });
   }
 
   /**
@@ -163,36 +563,238 @@ export class AccountMasterKey {
    *   operations.
    * @param {string} options.kmsPlugin - The ID of the KMS plugin to use.
    * @param {string} [options.secret = null] - A secret used to generate a key.
+   * @param {Object} [options.derivation] - The derivation descriptor to use
+   *   with `secret`; see `fromSecret`.
+   * @param {SeedCache} [options.cache] - The cache to load from; defaults to
+   *   the default cache.
+   * @param {string} [options.recoveryController] - The ID of the account's
+   *   recovery controller, as returned by `createRecoveryCode`; it is added
+   *   as a controller of every generated key.
+   * @param {boolean} [options.exportable=false] - `true` to keep the
+   *   master key's seed in memory so that it can be exported via `export`.
    *
    * @returns {Promise<AccountMasterKey>} The new AccountMasterKey instance
    *   or `null` if no cached key for `accountId` could be loaded.
    */
-  static async fromCache(
-    {accountId, kmsService = new KmsService(), kmsPlugin, secret = null}) {
-    if(typeof localStorage === 'undefined') {
-      return null;
-    }
-
+  static async fromCache({
+    accountId, kmsService = new KmsService(), kmsPlugin, secret = null,
+    derivation, cache = _seedCache, recoveryController, exportable = false
+  }) {
     if(secret !== null) {
-      return AccountMasterKey.fromSecret(
-        {secret, accountId, kmsService, kmsPlugin});
+      return AccountMasterKey.fromSecret({
+        secret, accountId, derivation, kmsService, kmsPlugin, cache,
+        recoveryController, exportable
+      });
     }
 
-    const seed = await _seedCache.get({accountId});
+    const seed = await cache.get({accountId});
     if(!seed) {
       return null;
     }
 
     const signer = await _signerFromSeed({seed});
-    return new AccountMasterKey({accountId, signer, kmsService, kmsPlugin});
+    return new AccountMasterKey({
+      accountId, signer, kmsService, kmsPlugin, recoveryController, seed,
+      exportable
+    });
+  }
+
+  /**
+   * Generates a master key from a recovery code created via
+   * `createRecoveryCode`. The returned master key controls the account's
+   * keys as a secondary controller; call `changeSecret` with a `newSecret`
+   * to restore access via a secret. The key is never cached.
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.recoveryCode - The recovery code.
+   * @param {string} options.accountId - The ID of the account associated
+   *   with this master key.
+   * @param {Object} options.kmsService - The kmsService to use to
+   *   perform key operations.
+   * @param {string} options.kmsPlugin - The ID of the KMS plugin to use.
+   *
+   * @returns {Promise<AccountMasterKey>} The new AccountMasterKey instance.
+   */
+  static async fromRecoveryCode(
+    {recoveryCode, accountId, kmsService, kmsPlugin}) {
+    _assertAccountId(accountId);
+    const seed = await _seedFromRecoveryCode({recoveryCode, accountId});
+    const signer = await _signerFromSeed({seed});
+    return new AccountMasterKey({
+      accountId, signer, kmsService, kmsPlugin,
+      recoveryController: signer.id, secretController: null
+    });
+  }
+
+  /**
+   * Restores a master key from a backup created via `export`.
+   *
+   * @param {Object} options - The options to use.
+   * @param {Object|string} options.bundle - The backup as returned by
+   *   `export`: the `bundle` object, its JSON serialization or the `text`.
+   * @param {string|Uint8Array} options.password - The password the backup
+   *   was encrypted with.
+   * @param {Object} [options.kmsService] - The kmsService to use to perform
+   *   key operations.
+   * @param {string} [options.kmsPlugin] - The ID of the KMS plugin to use;
+   *   defaults to the plugin recorded in the backup.
+   * @param {boolean|SeedCache} [options.cache=false] - Use `true` to cache
+   *   the key in the default cache, a `SeedCache` instance to cache it there,
+   *   or `false` not to cache it.
+   * @param {boolean} [options.exportable=false] - `true` to keep the
+   *   master key's seed in memory so that it can be exported via `export`.
+   *
+   * @returns {Promise<AccountMasterKey>} The new AccountMasterKey instance.
+   */
+  static async fromBackup({
+    bundle, password, kmsService = new KmsService(), kmsPlugin, cache = false,
+    exportable = false
+  }) {
+    const {accountId, seed, derivation, recoveryController, ...backup} =
+      await openBackup({bundle, password});
+
+    // cache seed if requested
+    if(cache) {
+      await _getSeedCache(cache).set({accountId, seed});
+    }
+
+    const signer = await _signerFromSeed({seed});
+    return new AccountMasterKey({
+      accountId, signer, kmsService,
+      kmsPlugin: kmsPlugin === undefined ? backup.kmsPlugin : kmsPlugin,
+      recoveryController, derivation, seed, exportable
+    });
   }
 
   static async fromBiometric() {
     throw new Error('Not implemented.');
   }
 
-  static async fromFido() {
-    throw new Error('Not implemented.');
+  /**
+   * Registers a new FIDO (WebAuthn) credential that can later be used with
+   * `fromFido` to generate a master key. The authenticator must support
+   * the WebAuthn `prf` extension (CTAP2 `hmac-secret`).
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.accountId - The ID of the account associated
+   *   with the credential.
+   * @param {Object} options.rp - The relying party (e.g. `{name, id}`).
+   * @param {Object} [options.user] - The user information shown by the
+   *   authenticator: `name` and `displayName` default to `accountId` and
+   *   `id` defaults to a hash of `accountId`.
+   * @param {WebAuthn} [options.webAuthn] - The WebAuthn adapter to use.
+   *
+   * @returns {Promise<Object>} Resolves to `{credentialId}` where
+   *   `credentialId` is the base64url-encoded ID of the new credential.
+   */
+  static async registerFido(
+    {accountId, rp, user = {}, webAuthn = new WebAuthn()}) {
+    _assertAccountId(accountId);
+    if(!(user && typeof user === 'object')) {
+      throw new TypeError('"user" must be an object.');
+    }
+
+    const {name = accountId, displayName = name} = user;
+    const id = user.id || new Uint8Array(await crypto.subtle.digest(
+      'SHA-256', _strToUint8Array(accountId)));
+    const credential = await webAuthn.create({
+      publicKey: {
+        rp,
+        user: {...user, id, name, displayName},
+        // the challenge is not verified by any server; the credential is
+        // only used to derive a seed locally
+        challenge: crypto.getRandomValues(new Uint8Array(32)),
+        pubKeyCredParams: [
+          {type: 'public-key', alg: -8},
+          {type: 'public-key', alg: -7}
+        ],
+        authenticatorSelection: {userVerification: 'required'},
+        extensions: {prf: {}}
+      }
+    });
+
+    const {prf = {}} = credential.getClientExtensionResults();
+    if(!prf.enabled) {
+      throw new Error(
+        'Authenticator does not support the WebAuthn "prf" extension.');
+    }
+
+    return {credentialId: base64url.encode(new Uint8Array(credential.rawId))};
+  }
+
+  /**
+   * Generates a master key from a FIDO (WebAuthn) credential that was
+   * registered via `registerFido`. The seed for the key is derived from the
+   * output of the WebAuthn `prf` extension using a salt bound to `accountId`,
+   * so the same credential always produces the same master key.
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.accountId - The ID of the account associated
+   *   with this master key.
+   * @param {string} [options.credentialId] - The base64url-encoded ID of the
+   *   credential to use; if omitted, the authenticator may choose from any
+   *   discoverable credential.
+   * @param {Object} options.kmsService - The kmsService to use to
+   *   perform key operations.
+   * @param {string} options.kmsPlugin - The ID of the KMS plugin to use.
+   * @param {boolean|SeedCache} [options.cache=true] - Use `true` to cache
+   *   the key in the default cache, a `SeedCache` instance to cache it there,
+   *   or `false` not to cache it; a cached key must be cleared via
+   *   `clearCache` or it will persist until it expires or the user clears
+   *   their local website storage.
+   * @param {WebAuthn} [options.webAuthn] - The WebAuthn adapter to use.
+   * @param {string} [options.recoveryController] - The ID of the account's
+   *   recovery controller, as returned by `createRecoveryCode`; it is added
+   *   as a controller of every generated key.
+   * @param {boolean} [options.exportable=false] - `true` to keep the
+   *   master key's seed in memory so that it can be exported via `export`.
+   *
+   * @returns {Promise<AccountMasterKey>} The new AccountMasterKey instance.
+   */
+  static async fromFido({
+    accountId, credentialId, kmsService, kmsPlugin, cache = true,
+    webAuthn = new WebAuthn(), recoveryController, exportable = false
+  }) {
+    _assertAccountId(accountId);
+
+    const allowCredentials = [];
+    if(credentialId !== undefined) {
+      allowCredentials.push(
+        {type: 'public-key', id: base64url.decode(credentialId)});
+    }
+
+    // `hmac-secret` produces different outputs with and without user
+    // verification, so it must always be required to get a stable seed
+    const salt = new Uint8Array(await crypto.subtle.digest(
+      'SHA-256', _strToUint8Array(`bedrock-web-kms:fido:${accountId}`)));
+    const credential = await webAuthn.get({
+      publicKey: {
+        challenge: crypto.getRandomValues(new Uint8Array(32)),
+        allowCredentials,
+        userVerification: 'required',
+        extensions: {prf: {eval: {first: salt}}}
+      }
+    });
+
+    const {prf = {}} = credential.getClientExtensionResults();
+    if(!(prf.results && prf.results.first)) {
+      throw new Error(
+        'Authenticator does not support the WebAuthn "prf" extension.');
+    }
+
+    const secret = new Uint8Array(prf.results.first);
+    const seed = await deriveSeed({secret, accountId});
+
+    // cache seed if requested
+    if(cache) {
+      await _getSeedCache(cache).set({accountId, seed});
+    }
+
+    const signer = await _signerFromSeed({seed});
+    return new AccountMasterKey({
+      accountId, signer, kmsService, kmsPlugin, recoveryController, seed,
+      exportable
+    });
   }
 
   /**
@@ -203,11 +805,29 @@ export class AccountMasterKey {
    * @param {Object} options - The options to use.
    * @param {string} options.accountId - The ID of the account associated
    *   with this master key.
+   * @param {SeedCache} [options.cache] - The cache to clear; defaults to
+   *   the default cache.
    *
-   * @returns {Promise<undefined>} On completion.
+   * @returns {Promise<boolean>} Resolves to `true` on success; rejects if
+   *   the cache could not be updated.
    */
-  static async clearCache({accountId}) {
-    await _seedCache.remove({accountId});
+  static async clearCache({accountId, cache = _seedCache}) {
+    return cache.remove({accountId});
+  }
+
+  /**
+   * Clears all keys from a cache. This should be called when the user logs
+   * out.
+   *
+   * @param {Object} [options] - The options to use.
+   * @param {SeedCache} [options.cache] - The cache to clear; defaults to
+   *   the default cache.
+   *
+   * @returns {Promise<undefined>} On completion; rejects if the cache could
+   *   not be cleared.
+   */
+  static async clearAllCache({cache = _seedCache} = {}) {
+    await cache.clearAll();
   }
 }
 
@@ -222,6 +842,71 @@ function _strToUint8Array(data) {
   return data;
 }
 
+function _secretToUint8Array(secret) {
+  if(typeof secret === 'string') {
+    return _strToUint8Array(secret);
+  }
+  if(!(secret instanceof Uint8Array)) {
+    throw new TypeError('"secret" must be a Uint8Array or a string.');
+  }
+  return secret;
+}
+
+function _toArray(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+async function _updateControllers({kmsService, keys, signer, getController}) {
+  const failed = [];
+  for(const key of keys) {
+    try {
+      await kmsService.updateKeyController(
+        {keyId: key.id, controller: getController(key), signer});
+    } catch(error) {
+      failed.push({keyId: key.id, error});
+    }
+  }
+  if(failed.length > 0) {
+    const error = new Error(
+      `Could not update the controller of ${failed.length} key(s).`);
+    error.failed = failed;
+    throw error;
+  }
+}
+
+function _encodeRecoveryCode(bytes) {
+  // group characters for readability
+  return base32.encode(bytes).match(/.{1,4}/g).join('-');
+}
+
+function _normalizeRecoveryCode(recoveryCode) {
+  if(typeof recoveryCode !== 'string') {
+    throw new TypeError('"recoveryCode" must be a string.');
+  }
+  return base32.normalize(recoveryCode).replace(/[^0-9A-Z]/g, '');
+}
+
+async function _seedFromRecoveryCode({recoveryCode, accountId}) {
+  const secret = _strToUint8Array(_normalizeRecoveryCode(recoveryCode));
+  return deriveSeed({secret, accountId, domain: 'bedrock-web-kms-recovery'});
+}
+
+function _getSeedCache(cache) {
+  if(cache === true) {
+    return _seedCache;
+  }
+  if(!(cache instanceof SeedCache)) {
+    throw new TypeError('"cache" must be a boolean or a SeedCache.');
+  }
+  return cache;
+}
+
+function _assertAccountId(accountId) {
+  if(typeof accountId !== 'string') {
+    throw new TypeError('"accountId" must be a string.');
+  }
+}
+
 function _assertVersion(version) {
   if(typeof version !== 'string') {
     throw new TypeError('"version" must be a string.');
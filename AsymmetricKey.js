@@ -0,0 +1,126 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+import base64url from 'base64url-universal';
+import {digestStream} from './digest.js';
+import {getPublicKey} from './helpers.js';
+
+// supported key types and their algorithms
+const ALGORITHMS = {
+  Ed25519VerificationKey2018: 'EdDSA',
+  EcdsaSecp256r1VerificationKey2019: 'ES256'
+};
+
+export class AsymmetricKey {
+  /**
+   * Creates a new instance of an asymmetric key. The private key never
+   * leaves the KMS service.
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.id - The ID of this key.
+   * @param {string} [options.type=Ed25519VerificationKey2018] - The type of
+   *   this key.
+   * @param {string} [options.algorithm] - The algorithm of this key; defaults
+   *   to the algorithm for `type`.
+   * @param {Object} options.signer - An API for creating digital
+   *   signatures using an authentication key for a KMS service.
+   * @param {string|Object} [options.capability] - The authorization
+   *   capability to invoke when using this key; defaults to the key's root
+   *   capability. A delegated capability must be given as an object.
+   * @param {Object} options.kmsService - The kmsService to use to perform key
+   *   operations.
+   *
+   * @returns {AsymmetricKey} The new AsymmetricKey instance.
+   */
+  constructor({
+    id, type = 'Ed25519VerificationKey2018', algorithm = ALGORITHMS[type],
+    signer, capability, kmsService
+  }) {
+    if(!ALGORITHMS[type]) {
+      throw new Error(`Unsupported asymmetric key type "${type}".`);
+    }
+    this.id = id;
+    this.type = type;
+    this.algorithm = algorithm;
+    this.signer = signer;
+    this.capability = capability;
+    this.kmsService = kmsService;
+  }
+
+  /**
+   * Signs some data. Note that the data will be sent to the server unless
+   * `digestAlgorithm` is given, in which case only a digest of the data is
+   * sent and signed; whoever verifies the signature must hash the data the
+   * same way.
+   *
+   * @param {Object} options - The options to use.
+   * @param {Uint8Array} options.data - The data to sign as a Uint8Array.
+   * @param {string} [options.digestAlgorithm] - The algorithm to hash the
+   *   data with before signing: `SHA-256`, `SHA-384` or `SHA-512`.
+   *
+   * @returns {Promise<string>} The base64url-encoded signature.
+   */
+  async sign({data, digestAlgorithm}) {
+    const {id: keyId, kmsService, signer, capability} = this;
+    return kmsService.sign(
+      {keyId, data, digestAlgorithm, signer, capability});
+  }
+
+  /**
+   * Signs a stream of data, such as a large file, by hashing it
+   * incrementally and signing its digest; the data is never sent to the
+   * server or held in memory all at once.
+   *
+   * @param {Object} options - The options to use.
+   * @param {ReadableStream|Blob|Object} options.stream - The data to
+   *   sign; it may also be an async iterable, such as a Node.js stream.
+   * @param {string} [options.digestAlgorithm=SHA-256] - The algorithm to
+   *   hash the data with: `SHA-256`, `SHA-384` or `SHA-512`.
+   *
+   * @returns {Promise<string>} The base64url-encoded signature.
+   */
+  async signStream({stream, digestAlgorithm = 'SHA-256'}) {
+    const {id: keyId, kmsService, signer, capability} = this;
+    const digest = await digestStream({stream, digestAlgorithm});
+    return kmsService.sign(
+      {keyId, digest, digestAlgorithm, signer, capability});
+  }
+
+  /**
+   * Gets the public key from the KMS service.
+   *
+   * @returns {Promise<Object>} The public key: its `id`, `type` and public
+   *   key material (e.g. `publicKeyBase58`).
+   */
+  async getPublicKey() {
+    const {id: keyId, kmsService, signer, capability} = this;
+    return getPublicKey(
+      await kmsService.getKeyDescription({keyId, signer, capability}));
+  }
+
+  /**
+   * Gets a signer API for this key that can be passed to a
+   * jsonld-signatures suite such as `Ed25519Signature2018`; unlike `signer`,
+   * it signs with this key rather than authenticating to the KMS service.
+   * It is not named `signer()`, as on crypto-ld key pairs, because `signer`
+   * is the KMS authentication signer, as on `Kek` and `Hmac`.
+   *
+   * @param {Object} [options] - The options to use.
+   * @param {string} [options.id] - The ID to use for the signer, such as
+   *   the verification method ID for this key; defaults to
+   *   the ID of this key.
+   *
+   * @returns {Object} An API with an `id` property and a `sign` function.
+   */
+  getSigner({id = this.id} = {}) {
+    const key = this;
+    return {
+      id,
+      async sign({data}) {
+        return base64url.decode(await key.sign({data}));
+      }
+    };
+  }
+}
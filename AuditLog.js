@@ -0,0 +1,127 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+import {createStorage} from './storage.js';
+
+const AUDIT_LOG_KEY = 'bedrock-web-kms-audit-log';
+// the IndexedDB object store used with `indexedDB` storage
+const STORE_NAME = 'audit-log';
+
+export class AuditLog {
+  /**
+   * Creates a client-side log of the operations a `KmsService` performs.
+   * Pass it as the `auditLog` option of a `KmsService`; an entry is added
+   * when each operation completes or fails. Entries never include key
+   * material or operation data.
+   *
+   * @param {Object} [options] - The options to use.
+   * @param {string|Object} [options.storage=memory] - The storage backend
+   *   to use: `localStorage`, `sessionStorage`, `indexedDB`, `memory` or an
+   *   object with async `get`, `set` and `remove` functions.
+   * @param {number} [options.maxEntries=1000] - The maximum number of
+   *   entries to keep; the oldest entries are removed first.
+   *
+   * @returns {AuditLog} The new AuditLog instance.
+   */
+  constructor({storage = 'memory', maxEntries = 1000} = {}) {
+    this.storage = createStorage(storage, {storeName: STORE_NAME});
+    this.maxEntries = maxEntries;
+    // serializes updates so concurrent operations do not lose entries
+    this._queue = Promise.resolve();
+    // entries waiting to be written together by the next queued write
+    this._pending = [];
+    this._write = null;
+  }
+
+  /**
+   * Adds an entry to the log. Entries added while a write is waiting are
+   * written with it, so the log is not rewritten once per entry.
+   *
+   * @param {Object} entry - The entry, an `after` or `error` event emitted
+   *   by a `KmsService`.
+   *
+   * @returns {Promise<undefined>} On completion; rejects if the entry could
+   *   not be written.
+   */
+  async add(entry) {
+    this._pending.push(entry);
+    if(!this._write) {
+      this._write = this._enqueue(async () => {
+        this._write = null;
+        const pending = this._pending.splice(0);
+        const entries = await this._getEntries();
+        entries.push(...pending);
+        await this.storage.set(
+          AUDIT_LOG_KEY, entries.slice(-this.maxEntries));
+      });
+    }
+    return this._write;
+  }
+
+  /**
+   * Gets the entries that match a query, oldest first.
+   *
+   * @param {Object} [options] - The options to use.
+   * @param {string} [options.keyId] - Only include entries for this key.
+   * @param {string} [options.operationType] - Only include entries for this
+   *   operation type, such as `UnwrapKeyOperation`.
+   * @param {string} [options.result] - Only include entries with this
+   *   result: `success` or `error`.
+   * @param {Date|string} [options.since] - Only include entries for
+   *   operations started at or after this date.
+   * @param {Date|string} [options.until] - Only include entries for
+   *   operations started before this date.
+   *
+   * @returns {Promise<Array<Object>>} The matching entries.
+   */
+  async query({keyId, operationType, result, since, until} = {}) {
+    await this._queue;
+    since = since === undefined ? undefined : new Date(since);
+    until = until === undefined ? undefined : new Date(until);
+    return (await this._getEntries()).filter(entry => {
+      const started = new Date(entry.started);
+      return (keyId === undefined || entry.keyId === keyId ||
+        (entry.keyIds && entry.keyIds.includes(keyId))) &&
+        (operationType === undefined ||
+          entry.operationType === operationType) &&
+        (result === undefined || entry.result === result) &&
+        (since === undefined || started >= since) &&
+        (until === undefined || started < until);
+    });
+  }
+
+  /**
+   * Exports the entries that match a query as a JSON string.
+   *
+   * @param {Object} [query] - The query to use; see `query`.
+   *
+   * @returns {Promise<string>} The entries as a JSON array.
+   */
+  async export(query) {
+    return JSON.stringify(await this.query(query), null, 2);
+  }
+
+  /**
+   * Removes every entry from the log.
+   *
+   * @returns {Promise<undefined>} On completion; rejects if the log could
+   *   not be cleared.
+   */
+  async clear() {
+    return this._enqueue(() => this.storage.remove(AUDIT_LOG_KEY));
+  }
+
+  // runs `fn` after every queued update; a failed update rejects only its
+  // caller's promise so that later updates still run
+  _enqueue(fn) {
+    const promise = this._queue.then(fn);
+    this._queue = promise.catch(() => {});
+    return promise;
+  }
+
+  async _getEntries() {
+    return await this.storage.get(AUDIT_LOG_KEY) || [];
+  }
+}
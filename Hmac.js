@@ -3,58 +3,257 @@
  */
 'use strict';
 
+import base64url from 'base64url-universal';
+import {digestStream} from './digest.js';
+import {changeState} from './lifecycle.js';
+
+// supported key types and their algorithms
+const ALGORITHMS = {
+  Sha256HmacKey2019: 'HS256',
+  Sha384HmacKey2019: 'HS384',
+  Sha512HmacKey2019: 'HS512'
+};
+
+// the size, in bytes, of the signatures produced by each algorithm
+const SIGNATURE_SIZES = {
+  HS256: 32,
+  HS384: 48,
+  HS512: 64
+};
+
+const BLIND_INDEX_ENCODINGS = ['base64url', 'hex'];
+
 export class Hmac {
   /**
    * Creates a new instance of an HMAC.
    *
    * @param {Object} options - The options to use.
    * @param {string} options.id - The ID of the hmac key.
-   * @param {Object} options.signer - An API for creating digital signatures
-   *   using an authentication key for a KMS service.
+   * @param {string} [options.type=Sha256HmacKey2019] - The type of the hmac
+   *   key.
+   * @param {string} [options.algorithm] - The algorithm of the hmac key;
+   *   defaults to the algorithm for `type`.
+   * @param {Object|Array<Object>} options.signer - An API for creating
+   *   digital signatures using an authentication key for a KMS service, or
+   *   an array of them when several controllers must sign.
+   * @param {string|Object} [options.capability] - The authorization
+   *   capability to invoke when using this key; defaults to the key's root
+   *   capability. A delegated capability must be given as an object.
    * @param {Object} options.kmsService - The kmsService to use to
    *   perform key operations.
+   * @param {string} [options.state=enabled] - The lifecycle state of the
+   *   hmac key: `enabled`, `disabled`, `revoked` or, once it has been
+   *   deleted via `delete`, `deleted`.
+   * @param {number} [options.threshold] - The number of the key's
+   *   controllers that must sign each operation, if the key has a threshold.
    *
    * @returns {Hmac} The new Hmac instance.
    */
-  constructor({id, signer, kmsService}) {
+  constructor({
+    id, type = 'Sha256HmacKey2019', algorithm = ALGORITHMS[type],
+    signer, capability, kmsService, state = 'enabled', threshold
+  }) {
+    if(!ALGORITHMS[type]) {
+      throw new Error(`Unsupported HMAC type "${type}".`);
+    }
     this.id = id;
-    // TODO: support other algorithms
-    this.algorithm = 'HS256';
+    this.type = type;
+    this.algorithm = algorithm;
     this.signer = signer;
+    this.capability = capability;
     this.kmsService = kmsService;
+    this.state = state;
+    this.threshold = threshold;
   }
 
   /**
-   * Signs some data. Note that the data will be sent to the server, so if
-   * this data is intended to be secret it should be hashed first. However,
-   * hashing the data first may present interoperability issues so choose
-   * wisely.
+   * Signs some data. Note that the data will be sent to the server unless
+   * `digestAlgorithm` is given, in which case only a digest of the data is
+   * sent and signed; whoever verifies the signature must hash the data the
+   * same way.
    *
    * @param {Object} options - The options to use.
    * @param {Uint8Array} options.data - The data to sign as a Uint8Array.
+   * @param {string} [options.digestAlgorithm] - The algorithm to hash the
+   *   data with before signing: `SHA-256`, `SHA-384` or `SHA-512`.
    *
    * @returns {Promise<string>} The base64url-encoded signature.
    */
-  async sign({data}) {
-    const {id: keyId, kmsService, signer} = this;
-    return kmsService.sign({keyId, data, signer});
+  async sign({data, digestAlgorithm}) {
+    const {id: keyId, kmsService, signer, capability} = this;
+    return kmsService.sign(
+      {keyId, data, digestAlgorithm, signer, capability});
   }
 
   /**
-   * Verifies some data. Note that the data will be sent to the server, so if
-   * this data is intended to be secret it should be hashed first. However,
-   * hashing the data first may present interoperability issues so choose
-   * wisely.
+   * Signs a stream of data, such as a large file, by hashing it
+   * incrementally and signing its digest; the data is never sent to the
+   * server or held in memory all at once.
    *
    * @param {Object} options - The options to use.
-   * @param {Uint8Array} options.data - The data to sign as a Uint8Array.
+   * @param {ReadableStream|Blob|Object} options.stream - The data to
+   *   sign; it may also be an async iterable, such as a Node.js stream.
+   * @param {string} [options.digestAlgorithm=SHA-256] - The algorithm to
+   *   hash the data with: `SHA-256`, `SHA-384` or `SHA-512`.
+   *
+   * @returns {Promise<string>} The base64url-encoded signature.
+   */
+  async signStream({stream, digestAlgorithm = 'SHA-256'}) {
+    const {id: keyId, kmsService, signer, capability} = this;
+    const digest = await digestStream({stream, digestAlgorithm});
+    return kmsService.sign(
+      {keyId, digest, digestAlgorithm, signer, capability});
+  }
+
+  /**
+   * Signs many pieces of data using a single KMS request. If this key uses
+   * a delegated capability, which cannot be invoked in a batch, each piece
+   * of data is signed using a separate request instead. The same caveats
+   * apply as for `sign`.
+   *
+   * @param {Object} options - The options to use.
+   * @param {Array<Uint8Array>} options.data - The data to sign.
+   *
+   * @returns {Promise<Array<Object>>} Resolves to one object per piece of
+   *   data, in order, with the `data` and either its base64url-encoded
+   *   `signature` or the `error` that prevented signing it.
+   */
+  async signMany({data}) {
+    const {id: keyId, kmsService, signer, capability} = this;
+    if(capability !== undefined) {
+      const results = [];
+      for(const d of data) {
+        try {
+          results.push({data: d, signature: await this.sign({data: d})});
+        } catch(error) {
+          results.push({data: d, error});
+        }
+      }
+      return results;
+    }
+    const results = await kmsService.batch({
+      operations: data.map(d => ({method: 'sign', keyId, data: d})),
+      signer
+    });
+    return results.map(({result, error}, i) => error ?
+      {data: data[i], error} : {data: data[i], signature: result});
+  }
+
+  /**
+   * Verifies some data. Note that the data will be sent to the server unless
+   * `digestAlgorithm` is given; see `sign`.
+   *
+   * @param {Object} options - The options to use.
+   * @param {Uint8Array} options.data - The data to verify as a Uint8Array.
+   * @param {string} options.signature - The base64url-encoded signature
+   *   to verify.
+   * @param {string} [options.digestAlgorithm] - The algorithm the data was
+   *   hashed with before signing.
+   *
+   * @returns {Promise<boolean>} `true` if verified, `false` if not.
+   */
+  async verify({data, signature, digestAlgorithm}) {
+    const {id: keyId, kmsService, signer, capability} = this;
+    return kmsService.verify(
+      {keyId, data, digestAlgorithm, signature, signer, capability});
+  }
+
+  /**
+   * Verifies a signature created via `signStream`.
+   *
+   * @param {Object} options - The options to use.
+   * @param {ReadableStream|Blob|Object} options.stream - The data to
+   *   verify; it may also be an async iterable.
    * @param {string} options.signature - The base64url-encoded signature
    *   to verify.
+   * @param {string} [options.digestAlgorithm=SHA-256] - The algorithm the
+   *   data was hashed with.
    *
    * @returns {Promise<boolean>} `true` if verified, `false` if not.
    */
-  async verify({data, signature}) {
-    const {id: keyId, kmsService, signer} = this;
-    return kmsService.verify({keyId, data, signature, signer});
+  async verifyStream({stream, signature, digestAlgorithm = 'SHA-256'}) {
+    const {id: keyId, kmsService, signer, capability} = this;
+    const digest = await digestStream({stream, digestAlgorithm});
+    return kmsService.verify(
+      {keyId, digest, digestAlgorithm, signature, signer, capability});
+  }
+
+  /**
+   * Creates a blind index for some data: a truncated signature that can be
+   * stored alongside encrypted data and searched for exact matches without
+   * revealing the data to whoever stores it. The same data always produces
+   * the same index with the same key, `length` and `encoding`. Shorter
+   * indexes leak less about the data but unrelated data is more likely to
+   * produce the same index, so matches must be confirmed after decryption.
+   *
+   * @param {Object} options - The options to use.
+   * @param {Uint8Array|string} options.data - The data to index; a string
+   *   is UTF-8 encoded.
+   * @param {number} [options.length=16] - The number of signature bytes to
+   *   keep; at most the signature size of this key's algorithm.
+   * @param {string} [options.encoding=base64url] - The encoding of the
+   *   index: `base64url` or `hex`.
+   *
+   * @returns {Promise<string>} The encoded blind index.
+   */
+  async blindIndex({data, length = 16, encoding = 'base64url'}) {
+    const size = SIGNATURE_SIZES[this.algorithm];
+    if(!(Number.isInteger(length) && length > 0 && length <= size)) {
+      throw new RangeError(
+        `"length" must be an integer from 1 to ${size}.`);
+    }
+    if(!BLIND_INDEX_ENCODINGS.includes(encoding)) {
+      throw new Error(`Unsupported encoding "${encoding}".`);
+    }
+    if(typeof data === 'string') {
+      data = new TextEncoder().encode(data);
+    }
+    const signature = base64url.decode(await this.sign({data}));
+    const index = signature.subarray(0, length);
+    if(encoding === 'hex') {
+      return [...index].map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+    return base64url.encode(index);
+  }
+
+  /**
+   * Disables this hmac key so that it cannot be used until it is enabled
+   * again.
+   *
+   * @returns {Promise<undefined>} On completion.
+   */
+  async disable() {
+    await changeState({key: this, change: 'disable'});
+  }
+
+  /**
+   * Enables this hmac key after it was disabled.
+   *
+   * @returns {Promise<undefined>} On completion.
+   */
+  async enable() {
+    await changeState({key: this, change: 'enable'});
+  }
+
+  /**
+   * Permanently revokes this hmac key so that it can never be used again.
+   *
+   * @param {Object} [options] - The options to use.
+   * @param {string} [options.reason] - Why the key was revoked.
+   *
+   * @returns {Promise<undefined>} On completion.
+   */
+  async revoke({reason} = {}) {
+    await changeState({key: this, change: 'revoke', reason});
+  }
+
+  /**
+   * Deletes this hmac key from the KMS service. Its `state` becomes
+   * `deleted`.
+   *
+   * @returns {Promise<undefined>} On completion.
+   */
+  async delete() {
+    await changeState({key: this, change: 'delete'});
   }
 }
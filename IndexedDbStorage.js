@@ -0,0 +1,47 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+import * as indexedDb from './indexedDb.js';
+
+export class IndexedDbStorage {
+  /**
+   * Creates a storage backend on top of IndexedDB.
+   *
+   * @param {Object} [options] - The options to use.
+   * @param {string} [options.storeName=seed-cache] - The object store to
+   *   keep values in: `seed-cache` or `audit-log`. Values in other stores
+   *   are not affected by this instance.
+   *
+   * @returns {IndexedDbStorage} The new IndexedDbStorage instance.
+   */
+  constructor({storeName = 'seed-cache'} = {}) {
+    if(!indexedDb.isAvailable()) {
+      throw new Error('IndexedDB is not available.');
+    }
+    this.storeName = storeName;
+    this.persistent = true;
+  }
+
+  async get(key) {
+    const {storeName} = this;
+    return indexedDb.withStore({storeName, fn: store => store.get(key)});
+  }
+
+  async set(key, value) {
+    await indexedDb.withStore({
+      storeName: this.storeName,
+      mode: 'readwrite',
+      fn: store => store.put(value, key)
+    });
+  }
+
+  async remove(key) {
+    await indexedDb.withStore({
+      storeName: this.storeName,
+      mode: 'readwrite',
+      fn: store => store.delete(key)
+    });
+  }
+}
@@ -3,25 +3,58 @@
  */
 'use strict';
 
+import {changeState} from './lifecycle.js';
+
+// supported key types and their algorithms
+const ALGORITHMS = {
+  AesKeyWrappingKey2019: 'A256KW'
+};
+
 export class Kek {
   /**
    * Creates a new instance of a key encryption key.
    *
    * @param {Object} options - The options to use.
    * @param {string} options.id - The ID of this key.
-   * @param {Object} options.signer - An API for creating digital signatures
-   *   using an authentication key for a KMS service.
+   * @param {string} [options.type=AesKeyWrappingKey2019] - The type of this
+   *   key.
+   * @param {string} [options.algorithm] - The algorithm of this key; defaults
+   *   to the algorithm for `type`.
+   * @param {Object|Array<Object>} options.signer - An API for creating
+   *   digital signatures using an authentication key for a KMS service, or
+   *   an array of them when several controllers must sign.
+   * @param {string|Object} [options.capability] - The authorization
+   *   capability to invoke when using this key; defaults to the key's root
+   *   capability. A delegated capability must be given as an object.
    * @param {Object} options.kmsService - The kmsService to use to perform key
    *   operations.
+   * @param {Object} [options.lineage] - Set if this key replaced another key
+   *   via rotation; `previousKey` is the ID of the replaced key and `rotated`
+   *   is the date of the rotation.
+   * @param {string} [options.state=enabled] - The lifecycle state of this
+   *   key: `enabled`, `disabled`, `revoked` or, once it has been deleted
+   *   via `delete`, `deleted`.
+   * @param {number} [options.threshold] - The number of the key's
+   *   controllers that must sign each operation, if the key has a threshold.
    *
    * @returns {Kek} The new Kek instance.
    */
-  constructor({id, signer, kmsService}) {
+  constructor({
+    id, type = 'AesKeyWrappingKey2019', algorithm = ALGORITHMS[type],
+    signer, capability, kmsService, lineage, state = 'enabled', threshold
+  }) {
+    if(!ALGORITHMS[type]) {
+      throw new Error(`Unsupported KEK type "${type}".`);
+    }
     this.id = id;
-    // TODO: support other algorithms
-    this.algorithm = 'A256KW';
+    this.type = type;
+    this.algorithm = algorithm;
     this.signer = signer;
+    this.capability = capability;
     this.kmsService = kmsService;
+    this.lineage = lineage;
+    this.state = state;
+    this.threshold = threshold;
   }
 
   /**
@@ -33,8 +66,8 @@ export class Kek {
    * @returns {Promise<string>} The base64url-encoded wrapped key bytes.
    */
   async wrap({key}) {
-    const {id: kekId, kmsService, signer} = this;
-    return kmsService.wrapKey({key, kekId, signer});
+    const {id: kekId, kmsService, signer, capability} = this;
+    return kmsService.wrapKey({key, kekId, signer, capability});
   }
 
   /**
@@ -47,7 +80,84 @@ export class Kek {
    * @returns {Promise<Uint8Array>} The key bytes.
    */
   async unwrap({wrappedKey}) {
-    const {id: kekId, kmsService, signer} = this;
-    return kmsService.unwrapKey({wrappedKey, kekId, signer});
+    const {id: kekId, kmsService, signer, capability} = this;
+    return kmsService.unwrapKey({wrappedKey, kekId, signer, capability});
+  }
+
+  /**
+   * Unwraps many cryptographic keys using a single KMS request. If this key
+   * uses a delegated capability, which cannot be invoked in a batch, each
+   * key is unwrapped using a separate request instead.
+   *
+   * @param {Object} options - The options to use.
+   * @param {Array<string>} options.wrappedKeys - The wrapped key materials as
+   *   base64url-encoded strings.
+   *
+   * @returns {Promise<Array<Object>>} Resolves to one object per wrapped key,
+   *   in order, with the `wrappedKey` and either the unwrapped `key` bytes
+   *   or the `error` that prevented unwrapping it.
+   */
+  async unwrapMany({wrappedKeys}) {
+    const {id: kekId, kmsService, signer, capability} = this;
+    if(capability !== undefined) {
+      const results = [];
+      for(const wrappedKey of wrappedKeys) {
+        try {
+          results.push({wrappedKey, key: await this.unwrap({wrappedKey})});
+        } catch(error) {
+          results.push({wrappedKey, error});
+        }
+      }
+      return results;
+    }
+    const results = await kmsService.batch({
+      operations: wrappedKeys.map(
+        wrappedKey => ({method: 'unwrapKey', kekId, wrappedKey})),
+      signer
+    });
+    return results.map(({result, error}, i) => error ?
+      {wrappedKey: wrappedKeys[i], error} :
+      {wrappedKey: wrappedKeys[i], key: result});
+  }
+
+  /**
+   * Disables this key so that it cannot be used until it is enabled
+   * again.
+   *
+   * @returns {Promise<undefined>} On completion.
+   */
+  async disable() {
+    await changeState({key: this, change: 'disable'});
+  }
+
+  /**
+   * Enables this key after it was disabled.
+   *
+   * @returns {Promise<undefined>} On completion.
+   */
+  async enable() {
+    await changeState({key: this, change: 'enable'});
+  }
+
+  /**
+   * Permanently revokes this key so that it can never be used again.
+   *
+   * @param {Object} [options] - The options to use.
+   * @param {string} [options.reason] - Why the key was revoked.
+   *
+   * @returns {Promise<undefined>} On completion.
+   */
+  async revoke({reason} = {}) {
+    await changeState({key: this, change: 'revoke', reason});
+  }
+
+  /**
+   * Deletes this key from the KMS service. Its `state` becomes
+   * `deleted`.
+   *
+   * @returns {Promise<undefined>} On completion.
+   */
+  async delete() {
+    await changeState({key: this, change: 'delete'});
   }
 }
@@ -0,0 +1,76 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+import {getPublicKey} from './helpers.js';
+
+// supported key types and their algorithms
+const ALGORITHMS = {
+  X25519KeyAgreementKey2019: 'ECDH-ES',
+  EcdhSecp256r1KeyAgreementKey2019: 'ECDH-ES'
+};
+
+export class KeyAgreementKey {
+  /**
+   * Creates a new instance of a key agreement key. The private key never
+   * leaves the KMS service.
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.id - The ID of this key.
+   * @param {string} [options.type=X25519KeyAgreementKey2019] - The type of
+   *   this key.
+   * @param {string} [options.algorithm] - The algorithm of this key; defaults
+   *   to the algorithm for `type`.
+   * @param {Object} options.signer - An API for creating digital signatures
+   *   using an authentication key for a KMS service.
+   * @param {string|Object} [options.capability] - The authorization
+   *   capability to invoke when using this key; defaults to the key's root
+   *   capability. A delegated capability must be given as an object.
+   * @param {Object} options.kmsService - The kmsService to use to perform key
+   *   operations.
+   *
+   * @returns {KeyAgreementKey} The new KeyAgreementKey instance.
+   */
+  constructor({
+    id, type = 'X25519KeyAgreementKey2019', algorithm = ALGORITHMS[type],
+    signer, capability, kmsService
+  }) {
+    if(!ALGORITHMS[type]) {
+      throw new Error(`Unsupported key agreement key type "${type}".`);
+    }
+    this.id = id;
+    this.type = type;
+    this.algorithm = algorithm;
+    this.signer = signer;
+    this.capability = capability;
+    this.kmsService = kmsService;
+  }
+
+  /**
+   * Derives a shared secret from this key and another party's public key.
+   *
+   * @param {Object} options - The options to use.
+   * @param {Object} options.publicKey - The other party's public key, such
+   *   as `{type: 'X25519KeyAgreementKey2019', publicKeyBase58}`; it must be
+   *   of the same type as this key.
+   *
+   * @returns {Promise<Uint8Array>} The shared secret bytes.
+   */
+  async deriveSecret({publicKey}) {
+    const {id: keyId, kmsService, signer, capability} = this;
+    return kmsService.deriveSecret({keyId, publicKey, signer, capability});
+  }
+
+  /**
+   * Gets the public key from the KMS service.
+   *
+   * @returns {Promise<Object>} The public key: its `id`, `type` and public
+   *   key material (e.g. `publicKeyBase58`).
+   */
+  async getPublicKey() {
+    const {id: keyId, kmsService, signer, capability} = this;
+    return getPublicKey(
+      await kmsService.getKeyDescription({keyId, signer, capability}));
+  }
+}
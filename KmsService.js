@@ -5,20 +5,279 @@
 
 import axios from 'axios';
 import base64url from 'base64url-universal';
-import {CapabilityInvocation} from 'ocapld';
+import {CapabilityDelegation, CapabilityInvocation} from 'ocapld';
 import jsigs from 'jsonld-signatures';
 import uuid from 'uuid-random';
+import {KMS_CONTEXT, KMS_CONTEXT_URL, documentLoader} from './context.js';
+import {prehash} from './digest.js';
+import {createSignatureHeaders} from './httpSignature.js';
+import {
+  assert,
+  assertController,
+  assertSigner,
+  assertThreshold,
+  getSignerId,
+  toArray
+} from './helpers.js';
+import {
+  KmsKeyStateError,
+  KmsNetworkError,
+  KmsNotFoundError,
+  KmsOperationError,
+  KmsPermissionError,
+  KmsServerError,
+  KmsThresholdError
+} from './errors.js';
 
 const {SECURITY_CONTEXT_V2_URL, sign, suites} = jsigs;
 const {Ed25519Signature2018} = suites;
 
+// operations that may be safely retried because repeating them has no
+// additional effect on the server
+const IDEMPOTENT_OPERATIONS = new Set([
+  'BatchOperation',
+  'DeriveSecretOperation',
+  'DisableKeyOperation',
+  'EnableKeyOperation',
+  'GetKeyDescriptionOperation',
+  'ListKeysOperation',
+  'RevokeKeyOperation',
+  'RewrapKeyOperation',
+  'SignOperation',
+  'UnwrapKeyOperation',
+  'UpdateKeyControllerOperation',
+  'VerifyOperation',
+  'WrapKeyOperation'
+]);
+
+// the capability actions used to invoke each operation on a key
+const CAPABILITY_ACTIONS = {
+  DeleteKeyOperation: 'deleteKey',
+  DeriveSecretOperation: 'deriveSecret',
+  DisableKeyOperation: 'disableKey',
+  EnableKeyOperation: 'enableKey',
+  RevokeKeyOperation: 'revokeKey',
+  RewrapKeyOperation: 'rewrapKey',
+  SignOperation: 'sign',
+  UnwrapKeyOperation: 'unwrapKey',
+  VerifyOperation: 'verify',
+  WrapKeyOperation: 'wrapKey'
+};
+
+// the events emitted for each operation
+const EVENT_TYPES = ['before', 'after', 'error'];
+
+// the ways a capability invocation may be attached to an operation
+const AUTHORIZATION_SCHEMES = ['linkedDataProof', 'httpSignature'];
+
+// the terms defined by the KMS context rather than the security v2 context
+const KMS_TERMS = new Set(Object.keys(KMS_CONTEXT['@context'])
+  .filter(term => !['@version', 'id', 'type', 'sec'].includes(term)));
+
+// the operations that may be included in a batch, keyed by the name of the
+// method that performs the same operation alone; `create` builds the
+// operation from the method's options and `parse` gets the method's return
+// value from the operation's result
+const BATCH_OPERATIONS = {
+  wrapKey: {
+    type: 'WrapKeyOperation',
+    create({key, kekId}) {
+      assert(key, 'key', 'Uint8Array');
+      assert(kekId, 'kekId', 'string');
+      return {invocationTarget: kekId, unwrappedKey: base64url.encode(key)};
+    },
+    parse: ({wrappedKey}) => wrappedKey
+  },
+  unwrapKey: {
+    type: 'UnwrapKeyOperation',
+    create({wrappedKey, kekId}) {
+      assert(wrappedKey, 'wrappedKey', 'string');
+      assert(kekId, 'kekId', 'string');
+      return {invocationTarget: kekId, wrappedKey};
+    },
+    parse: ({unwrappedKey}) => base64url.decode(unwrappedKey)
+  },
+  sign: {
+    type: 'SignOperation',
+    create({keyId, data}) {
+      assert(keyId, 'keyId', 'string');
+      assert(data, 'data', 'Uint8Array');
+      return {invocationTarget: keyId, verifyData: base64url.encode(data)};
+    },
+    parse: ({signatureValue}) => signatureValue
+  },
+  verify: {
+    type: 'VerifyOperation',
+    create({keyId, data, signature}) {
+      assert(keyId, 'keyId', 'string');
+      assert(data, 'data', 'Uint8Array');
+      assert(signature, 'signature', 'string');
+      return {
+        invocationTarget: keyId,
+        verifyData: base64url.encode(data),
+        signatureValue: signature
+      };
+    },
+    parse: ({verified}) => verified
+  }
+};
+
 export class KmsService {
+  /**
+   * Creates a new KmsService instance.
+   *
+   * Key operations accept a `capability` option, the authorization
+   * capability to invoke. It defaults to the key's root capability, which
+   * only the key's controllers may invoke; a capability delegated via
+   * `delegateCapability` must be given as an object.
+   *
+   * @param {Object} [options] - The options to use.
+   * @param {Object} [options.urls] - The service URLs; `base` is the base URL
+   *   of the KMS service; it may be relative to the current page's origin
+   *   in a web browser but must be absolute elsewhere.
+   * @param {number} [options.timeout=30000] - The number of milliseconds to
+   *   wait for a response before an operation fails.
+   * @param {number} [options.retries=2] - The number of times to retry an
+   *   idempotent operation after a network or server failure.
+   * @param {number} [options.retryDelay=250] - The number of milliseconds to
+   *   wait before the first retry; the delay doubles with each retry.
+   * @param {Object} [options.httpAgent] - The agent to use for `http:`
+   *   requests in Node.js.
+   * @param {Object} [options.httpsAgent] - The agent to use for `https:`
+   *   requests in Node.js, such as an `https.Agent` with custom TLS options
+   *   like `ca` or `cert`.
+   * @param {Object} [options.auditLog] - An `AuditLog` to add an entry to
+   *   for every operation.
+   * @param {Function} [options.getAuditContext] - A function that returns
+   *   information about what the application is doing, such as the user
+   *   interface action being performed; its return value is included as
+   *   `context` in every event and audit log entry.
+   * @param {string} [options.authorization=linkedDataProof] - How operations
+   *   invoke capabilities: `linkedDataProof` to add a jsonld-signatures
+   *   proof to the operation or `httpSignature` to sign the request's
+   *   `(request-target)`, `(created)`, `(expires)`, `host`,
+   *   `capability-invocation` and `digest` headers with an HTTP Signature
+   *   instead, which avoids JSON-LD processing but only supports a single
+   *   signer.
+   *
+   * @returns {KmsService} The new KmsService instance.
+   */
   constructor({
     urls = {
       base: '/kms'
-    }
+    },
+    timeout = 30000,
+    retries = 2,
+    retryDelay = 250,
+    httpAgent,
+    httpsAgent,
+    auditLog,
+    getAuditContext,
+    authorization = 'linkedDataProof'
   } = {}) {
-    this.config = {urls};
+    if(!AUTHORIZATION_SCHEMES.includes(authorization)) {
+      throw new Error(`Unsupported authorization "${authorization}".`);
+    }
+    this.config = {
+      urls, timeout, retries, retryDelay, httpAgent, httpsAgent,
+      authorization
+    };
+    this.auditLog = auditLog;
+    this.getAuditContext = getAuditContext;
+    this._listeners = {before: [], after: [], error: []};
+    this._plugins = null;
+  }
+
+  /**
+   * Adds a listener for an operation event. Every operation emits `before`
+   * when it is about to be signed and sent and then either `after` when it
+   * succeeds or `error` when it fails, including when it cannot be signed.
+   * Events include the `operationType`, `keyId`, `invoker`, `started` date
+   * and any `context`; `after` and `error` events also include the
+   * `duration` in milliseconds, the number of `attempts` (`0` if the
+   * operation was never sent), the `result` (`success` or `error`), the HTTP
+   * `status` if a response was received and, for `error`, the error's `name`
+   * and `message`. Events never include key material or other operation
+   * data.
+   *
+   * An `error` event without a `result` is emitted with the `error` if
+   * `getAuditContext` throws, the `auditLog` cannot be updated or a listener
+   * throws; it also includes the `event` the listener was given or the log
+   * entry. An error thrown by an `error` listener is rethrown asynchronously
+   * so that it is reported by the environment.
+   *
+   * @param {string} type - The event type: `before`, `after` or `error`.
+   * @param {Function} listener - The function to call with each event.
+   *
+   * @returns {undefined}
+   */
+  on(type, listener) {
+    _assertEventType(type);
+    assert(listener, 'listener', 'function');
+    this._listeners[type].push(listener);
+  }
+
+  /**
+   * Removes a listener added via `on`.
+   *
+   * @param {string} type - The event type.
+   * @param {Function} listener - The listener to remove.
+   *
+   * @returns {undefined}
+   */
+  off(type, listener) {
+    _assertEventType(type);
+    this._listeners[type] = this._listeners[type].filter(l => l !== listener);
+  }
+
+  /**
+   * Gets the plugins that are available on the KMS service. The list is
+   * fetched once and then reused unless `refresh` is set. If the KMS service
+   * does not support plugin discovery, that is remembered too; other
+   * failures are retried on next use.
+   *
+   * @param {Object} [options] - The options to use.
+   * @param {boolean} [options.refresh=false] - `true` to fetch the list
+   *   again.
+   *
+   * @returns {Promise<Array<Object>>} The plugins; each has an `id` to pass
+   *   as `plugin`, a `fips` flag that is `true` if its keys are kept in a
+   *   module that is FIPS validated and the `keyTypes` it supports, each
+   *   with a `type` and an `algorithm`.
+   */
+  async getPlugins({refresh = false} = {}) {
+    if(!this._plugins || refresh) {
+      this._plugins = this._getPlugins().catch(e => {
+        // allow another attempt on next use unless there is no discovery
+        if(!_isDiscoveryUnsupported(e)) {
+          this._plugins = null;
+        }
+        throw e;
+      });
+    }
+    return this._plugins;
+  }
+
+  /**
+   * Finds the first available KMS plugin that supports a key type.
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.type - The key type (e.g. 'AesKeyWrappingKey2019').
+   * @param {boolean} [options.fips=false] - `true` to only consider plugins
+   *   that store keys in a FIPS-validated module.
+   *
+   * @returns {Promise<string>} The ID of the plugin.
+   */
+  async findPlugin({type, fips = false}) {
+    assert(type, 'type', 'string');
+    const plugin = (await this.getPlugins()).find(
+      plugin => _supportsKeyType({plugin, type, fips}));
+    if(!plugin) {
+      throw new Error(
+        `No ${fips ? 'FIPS-compliant ' : ''}KMS plugin supports key type ` +
+        `"${type}".`);
+    }
+    return plugin.id;
   }
 
   /**
@@ -27,44 +286,294 @@ export class KmsService {
    * @param {Object} options - The options to use.
    * @param {string} options.plugin - The KMS plugin to use.
    * @param {string} options.type - The key type (e.g. 'AesKeyWrappingKey2019').
-   * @param {Object} options.signer - An API with an `id` property and a `sign`
-   *   function for authentication purposes.
+   * @param {Object|Array<Object>} options.signer - An API with an `id`
+   *   property and a `sign` function for authentication purposes, or an
+   *   array of them; each signer adds its own capability invocation proof.
+   * @param {string|Array<string>} [options.controller] - The controller(s)
+   *   of the key; defaults to the ID(s) of `signer`.
+   * @param {number} [options.threshold] - The number of controllers that
+   *   must sign every operation on the key, including this one; by default
+   *   any one controller may.
+   * @param {Object} [options.lineage] - Set when the key is generated to
+   *   replace another key; `previousKey` is the ID of the replaced key and
+   *   `rotated` is the date of the rotation.
+   * @param {boolean} [options.fips=false] - `true` to require a plugin that
+   *   stores keys in a FIPS-validated module.
    *
    * @returns {Promise<string>} The ID for the key.
    */
-  async generateKey({plugin, type, signer}) {
-    _assert(plugin, 'plugin', 'string');
-    _assert(type, 'type', 'string');
-    _assert(signer, 'signer', 'object');
-    const baseUrl = `${window.location.origin}${this.config.urls.base}`;
-    const id = `${baseUrl}/${plugin}/${uuid()}`;
+  async generateKey({
+    plugin, type, signer, controller = getSignerId(signer), threshold,
+    lineage, fips = false
+  }) {
+    assert(plugin, 'plugin', 'string');
+    assert(type, 'type', 'string');
+    assertSigner(signer);
+    assertController(controller);
+    await this._assertPlugin({plugin, type, fips});
+    const id = `${this._getPluginUrl({plugin})}/${uuid()}`;
+
+    const invocationTarget = {id, type, controller};
+    if(threshold !== undefined) {
+      assertThreshold({threshold, controller});
+      invocationTarget.threshold = threshold;
+      // fail early rather than have the KMS reject the operation
+      const signers = toArray(signer).length;
+      if(signers < threshold) {
+        throw new KmsThresholdError({
+          operationType: 'GenerateKeyOperation',
+          keyId: id,
+          threshold,
+          message: 'KMS operation "GenerateKeyOperation" failed: ' +
+            `${threshold} signers are required but ${signers} given.`
+        });
+      }
+    }
+    if(lineage) {
+      assert(lineage.previousKey, 'lineage.previousKey', 'string');
+      assert(lineage.rotated, 'lineage.rotated', 'string');
+      const {previousKey, rotated} = lineage;
+      Object.assign(invocationTarget, {previousKey, rotated});
+    }
 
     const {id: newId} = await this._postOperation({
       url: id,
       operation: {
         type: 'GenerateKeyOperation',
-        invocationTarget: {id, type, controller: signer.id}
+        invocationTarget
       },
       signer
     });
     return newId;
   }
 
+  /**
+   * Gets the description of a cryptographic key. The description includes
+   * the key's `id`, `type` and `controller` and may include other metadata
+   * such as its `algorithm`, `created` date and lifecycle `state`
+   * (`enabled`, `disabled` or `revoked`; keys without a `state` are
+   * enabled).
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.keyId - The ID of the key.
+   * @param {Object|Array<Object>} options.signer - An API with a `sign`
+   *   function for authentication purposes, or an array of them.
+   * @param {string|Object} [options.capability] - The capability to
+   *   invoke; see `KmsService`.
+   *
+   * @returns {Promise<Object>} The key description.
+   */
+  async getKeyDescription({keyId, signer, capability}) {
+    assert(keyId, 'keyId', 'string');
+    assertSigner(signer);
+    return this._postOperation({
+      url: keyId,
+      operation: {
+        type: 'GetKeyDescriptionOperation',
+        invocationTarget: keyId
+      },
+      signer,
+      capability
+    });
+  }
+
+  /**
+   * Updates the controller(s) of a cryptographic key. The signer must be a
+   * current controller of the key and will lose access to it unless it is
+   * one of the new controllers.
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.keyId - The ID of the key.
+   * @param {string|Array<string>} options.controller - The new controller(s).
+   * @param {Object|Array<Object>} options.signer - An API with a `sign`
+   *   function for authentication purposes, or an array of them.
+   *
+   * @returns {Promise<undefined>} On completion.
+   */
+  async updateKeyController({keyId, controller, signer}) {
+    assert(keyId, 'keyId', 'string');
+    assertController(controller);
+    assertSigner(signer);
+    await this._postOperation({
+      url: keyId,
+      operation: {
+        type: 'UpdateKeyControllerOperation',
+        invocationTarget: keyId,
+        controller
+      },
+      signer
+    });
+  }
+
+  /**
+   * Disables a cryptographic key. A disabled key cannot be used for any
+   * cryptographic operation until it is enabled again via `enableKey`;
+   * attempts reject with a `KmsKeyStateError`. Its description can still be
+   * read and its `state` is `disabled`.
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.keyId - The ID of the key.
+   * @param {Object|Array<Object>} options.signer - An API with a `sign`
+   *   function for authentication purposes, or an array of them.
+   * @param {string|Object} [options.capability] - The capability to
+   *   invoke; see `KmsService`.
+   *
+   * @returns {Promise<undefined>} On completion.
+   */
+  async disableKey({keyId, signer, capability}) {
+    assert(keyId, 'keyId', 'string');
+    assertSigner(signer);
+    await this._postOperation({
+      url: keyId,
+      operation: {
+        type: 'DisableKeyOperation',
+        invocationTarget: keyId
+      },
+      signer,
+      capability
+    });
+  }
+
+  /**
+   * Enables a cryptographic key that was disabled via `disableKey`. Revoked
+   * keys cannot be enabled.
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.keyId - The ID of the key.
+   * @param {Object|Array<Object>} options.signer - An API with a `sign`
+   *   function for authentication purposes, or an array of them.
+   * @param {string|Object} [options.capability] - The capability to
+   *   invoke; see `KmsService`.
+   *
+   * @returns {Promise<undefined>} On completion.
+   */
+  async enableKey({keyId, signer, capability}) {
+    assert(keyId, 'keyId', 'string');
+    assertSigner(signer);
+    await this._postOperation({
+      url: keyId,
+      operation: {
+        type: 'EnableKeyOperation',
+        invocationTarget: keyId
+      },
+      signer,
+      capability
+    });
+  }
+
+  /**
+   * Revokes a cryptographic key, such as when it may have been compromised.
+   * Revocation is permanent: a revoked key can never be used for any
+   * cryptographic operation again; attempts reject with a
+   * `KmsKeyStateError`. Its description can still be read; its `state` is
+   * `revoked` and `revoked` is the date of the revocation.
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.keyId - The ID of the key.
+   * @param {string} [options.reason] - Why the key was revoked; it is
+   *   recorded in the key's description as `revocationReason`.
+   * @param {Object|Array<Object>} options.signer - An API with a `sign`
+   *   function for authentication purposes, or an array of them.
+   * @param {string|Object} [options.capability] - The capability to
+   *   invoke; see `KmsService`.
+   *
+   * @returns {Promise<undefined>} On completion.
+   */
+  async revokeKey({keyId, reason, signer, capability}) {
+    assert(keyId, 'keyId', 'string');
+    if(reason !== undefined) {
+      assert(reason, 'reason', 'string');
+    }
+    assertSigner(signer);
+    const operation = {
+      type: 'RevokeKeyOperation',
+      invocationTarget: keyId
+    };
+    if(reason !== undefined) {
+      operation.reason = reason;
+    }
+    await this._postOperation({url: keyId, operation, signer, capability});
+  }
+
+  /**
+   * Deletes a cryptographic key. Anything the key wrapped can no longer be
+   * unwrapped, so a key should usually be disabled or revoked first to
+   * ensure it is no longer needed.
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.keyId - The ID of the key.
+   * @param {Object|Array<Object>} options.signer - An API with a `sign`
+   *   function for authentication purposes, or an array of them.
+   * @param {string|Object} [options.capability] - The capability to
+   *   invoke; see `KmsService`.
+   *
+   * @returns {Promise<undefined>} On completion.
+   */
+  async deleteKey({keyId, signer, capability}) {
+    assert(keyId, 'keyId', 'string');
+    assertSigner(signer);
+    await this._postOperation({
+      url: keyId,
+      operation: {
+        type: 'DeleteKeyOperation',
+        invocationTarget: keyId
+      },
+      signer,
+      capability
+    });
+  }
+
+  /**
+   * Lists the descriptions of the cryptographic keys controlled by the
+   * given signer.
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.plugin - The KMS plugin to list keys from.
+   * @param {Object} options.signer - An API with an `id` property and a
+   *   `sign` function for authentication purposes.
+   * @param {Object} [options.filter] - Properties that each returned key
+   *   description must match, such as `{type: 'AesKeyWrappingKey2019'}`.
+   *
+   * @returns {Promise<Array>} The key descriptions.
+   */
+  async listKeys({plugin, signer, filter = {}}) {
+    assert(plugin, 'plugin', 'string');
+    assert(signer, 'signer', 'object');
+    if(Array.isArray(signer)) {
+      throw new TypeError('"signer" must be a single signer.');
+    }
+    assert(filter, 'filter', 'object');
+    const url = this._getPluginUrl({plugin});
+    const {keys} = await this._postOperation({
+      url,
+      operation: {
+        type: 'ListKeysOperation',
+        invocationTarget: url,
+        controller: signer.id,
+        filter
+      },
+      signer
+    });
+    return keys;
+  }
+
   /**
    * Wraps a cryptographic key using a key encryption key (KEK).
    *
    * @param {Object} options - The options to use.
    * @param {Uint8Array} options.key - The key material as a Uint8Array.
    * @param {string} options.kekId - The ID of the wrapping key to use.
-   * @param {Object} options.signer - An API with a `sign` function for
-   *   authentication purposes.
+   * @param {Object|Array<Object>} options.signer - An API with a `sign`
+   *   function for authentication purposes, or an array of them.
+   * @param {string|Object} [options.capability] - The capability to
+   *   invoke; see `KmsService`.
    *
    * @returns {Promise<string>} The base64url-encoded wrapped key bytes.
    */
-  async wrapKey({key, kekId, signer}) {
-    _assert(key, 'key', 'Uint8Array');
-    _assert(kekId, 'kekId', 'string');
-    _assert(signer, 'signer', 'object');
+  async wrapKey({key, kekId, signer, capability}) {
+    assert(key, 'key', 'Uint8Array');
+    assert(kekId, 'kekId', 'string');
+    assertSigner(signer);
     const unwrappedKey = base64url.encode(key);
     const {wrappedKey} = await this._postOperation({
       url: kekId,
@@ -73,7 +582,8 @@ export class KmsService {
         invocationTarget: kekId,
         unwrappedKey
       },
-      signer
+      signer,
+      capability
     });
     return wrappedKey;
   }
@@ -85,15 +595,17 @@ export class KmsService {
    * @param {string} options.wrappedKey - The wrapped key material as a
    *   base64url-encoded string.
    * @param {string} options.kekId - The ID of the unwrapping key to use.
-   * @param {Object} options.signer - An API with a `sign` function for
-   *   authentication purposes.
+   * @param {Object|Array<Object>} options.signer - An API with a `sign`
+   *   function for authentication purposes, or an array of them.
+   * @param {string|Object} [options.capability] - The capability to
+   *   invoke; see `KmsService`.
    *
    * @returns {Promise<Uint8Array>} The key bytes.
    */
-  async unwrapKey({wrappedKey, kekId, signer}) {
-    _assert(wrappedKey, 'wrappedKey', 'string');
-    _assert(kekId, 'kekId', 'string');
-    _assert(signer, 'signer', 'object');
+  async unwrapKey({wrappedKey, kekId, signer, capability}) {
+    assert(wrappedKey, 'wrappedKey', 'string');
+    assert(kekId, 'kekId', 'string');
+    assertSigner(signer);
     const {unwrappedKey} = await this._postOperation({
       url: kekId,
       operation: {
@@ -101,119 +613,654 @@ export class KmsService {
         invocationTarget: kekId,
         wrappedKey
       },
-      signer
+      signer,
+      capability
     });
     return base64url.decode(unwrappedKey);
   }
 
   /**
-   * Signs some data. Note that the data will be sent to the server, so if
-   * this data is intended to be secret it should be hashed first. However,
-   * hashing the data first may present interoperability issues so choose
-   * wisely.
+   * Rewraps a wrapped cryptographic key: it is unwrapped using one KEK and
+   * wrapped again using another KEK entirely on the server, so the key
+   * material is never exposed to the client. Both KEKs must be managed by
+   * this KMS service and be accessible to `signer`.
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.wrappedKey - The wrapped key material as a
+   *   base64url-encoded string.
+   * @param {string} options.kekId - The ID of the KEK that wrapped the key.
+   * @param {string} options.destinationKekId - The ID of the KEK to wrap the
+   *   key with.
+   * @param {Object|Array<Object>} options.signer - An API with a `sign`
+   *   function for authentication purposes, or an array of them.
+   * @param {string|Object} [options.capability] - The capability to
+   *   invoke; see `KmsService`.
+   *
+   * @returns {Promise<string>} The base64url-encoded rewrapped key bytes.
+   */
+  async rewrapKey({wrappedKey, kekId, destinationKekId, signer, capability}) {
+    assert(wrappedKey, 'wrappedKey', 'string');
+    assert(kekId, 'kekId', 'string');
+    assert(destinationKekId, 'destinationKekId', 'string');
+    assertSigner(signer);
+    const {wrappedKey: rewrappedKey} = await this._postOperation({
+      url: kekId,
+      operation: {
+        type: 'RewrapKeyOperation',
+        invocationTarget: kekId,
+        wrappedKey,
+        destinationKey: destinationKekId
+      },
+      signer,
+      capability
+    });
+    return rewrappedKey;
+  }
+
+  /**
+   * Derives a shared secret using a key agreement key and another party's
+   * public key.
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.keyId - The ID of the key agreement key to use.
+   * @param {Object} options.publicKey - The other party's public key.
+   * @param {Object|Array<Object>} options.signer - An API with a `sign`
+   *   function for authentication purposes, or an array of them.
+   * @param {string|Object} [options.capability] - The capability to
+   *   invoke; see `KmsService`.
+   *
+   * @returns {Promise<Uint8Array>} The shared secret bytes.
+   */
+  async deriveSecret({keyId, publicKey, signer, capability}) {
+    assert(keyId, 'keyId', 'string');
+    assert(publicKey, 'publicKey', 'object');
+    assertSigner(signer);
+    const {secret} = await this._postOperation({
+      url: keyId,
+      operation: {
+        type: 'DeriveSecretOperation',
+        invocationTarget: keyId,
+        publicKey
+      },
+      signer,
+      capability
+    });
+    return base64url.decode(secret);
+  }
+
+  /**
+   * Signs some data. Note that the data will be sent to the server unless
+   * `digestAlgorithm` is given, in which case only a digest of the data is
+   * sent and signed. The digest algorithm is recorded in the operation, but
+   * the signature is over the digest, so whoever verifies it must hash the
+   * data the same way.
    *
    * @param {Object} options - The options to use.
    * @param {string} options.keyId - The ID of the signing key to use.
-   * @param {Uint8Array} options.data - The data to sign as a Uint8Array.
-   * @param {Object} options.signer - An API with a `sign` function for
-   *   authentication purposes; this is not used to sign the data itself.
+   * @param {Uint8Array} [options.data] - The data to sign as a Uint8Array.
+   * @param {string} [options.digestAlgorithm] - The algorithm to hash the
+   *   data with before signing: `SHA-256`, `SHA-384` or `SHA-512`.
+   * @param {Uint8Array} [options.digest] - A digest of the data computed
+   *   using `digestAlgorithm`, given instead of `data`.
+   * @param {Object|Array<Object>} options.signer - An API with a `sign`
+   *   function for authentication purposes, or an array of them; this is
+   *   not used to sign the data itself.
+   * @param {string|Object} [options.capability] - The capability to
+   *   invoke; see `KmsService`.
    *
    * @returns {Promise<string>} The base64url-encoded signature.
    */
-  async sign({keyId, data, signer}) {
-    _assert(keyId, 'keyId', 'string');
-    _assert(data, 'data', 'Uint8Array');
-    _assert(signer, 'signer', 'object');
-    data = base64url.encode(data);
+  async sign({keyId, data, digestAlgorithm, digest, signer, capability}) {
+    assert(keyId, 'keyId', 'string');
+    assertSigner(signer);
+    const verifyData = base64url.encode(
+      await prehash({data, digest, digestAlgorithm}));
     const {signatureValue} = await this._postOperation({
       url: keyId,
-      operation: {
+      operation: _withDigestAlgorithm({
         type: 'SignOperation',
         invocationTarget: keyId,
-        verifyData: data
-      },
-      signer
+        verifyData
+      }, digestAlgorithm),
+      signer,
+      capability
     });
     return signatureValue;
   }
 
   /**
-   * Verifies some data. Note that the data will be sent to the server, so if
-   * this data is intended to be secret it should be hashed first. However,
-   * hashing the data first may present interoperability issues so choose
-   * wisely.
+   * Verifies some data. Note that the data will be sent to the server unless
+   * `digestAlgorithm` is given; see `sign`.
    *
    * @param {Object} options - The options to use.
    * @param {string} options.keyId - The ID of the signing key to use.
-   * @param {Uint8Array} options.data - The data to sign as a Uint8Array.
+   * @param {Uint8Array} [options.data] - The data to verify as a Uint8Array.
+   * @param {string} [options.digestAlgorithm] - The algorithm the data was
+   *   hashed with before signing.
+   * @param {Uint8Array} [options.digest] - A digest of the data computed
+   *   using `digestAlgorithm`, given instead of `data`.
    * @param {string} options.signature - The base64url-encoded signature to
    *   verify.
-   * @param {Object} options.signer - An API with a `sign` function for
-   *   authentication purposes.
+   * @param {Object|Array<Object>} options.signer - An API with a `sign`
+   *   function for authentication purposes, or an array of them.
+   * @param {string|Object} [options.capability] - The capability to
+   *   invoke; see `KmsService`.
    *
    * @returns {Promise<boolean>} `true` if verified, `false` if not.
    */
-  async verify({keyId, data, signature, signer}) {
-    _assert(keyId, 'keyId', 'string');
-    _assert(data, 'data', 'Uint8Array');
-    _assert(signature, 'signature', 'string');
-    _assert(signer, 'signer', 'object');
-    const verifyData = base64url.encode(data);
+  async verify({
+    keyId, data, digestAlgorithm, digest, signature, signer, capability
+  }) {
+    assert(keyId, 'keyId', 'string');
+    assert(signature, 'signature', 'string');
+    assertSigner(signer);
+    const verifyData = base64url.encode(
+      await prehash({data, digest, digestAlgorithm}));
     const {verified} = await this._postOperation({
       url: keyId,
-      operation: {
+      operation: _withDigestAlgorithm({
         type: 'VerifyOperation',
         invocationTarget: keyId,
         verifyData,
         signatureValue: signature
+      }, digestAlgorithm),
+      signer,
+      capability
+    });
+    return verified;
+  }
+
+  /**
+   * Performs many key operations in a single request that is authorized by
+   * a single capability invocation. Every key must be controlled by
+   * `signer` and be managed by the same KMS plugin; delegated capabilities
+   * cannot be invoked in a batch.
+   *
+   * Each operation names the method that would perform it alone (`wrapKey`,
+   * `unwrapKey`, `sign` or `verify`) as its `method` along with that
+   * method's options, except `signer` and `capability`, such as
+   * `{method: 'unwrapKey', kekId, wrappedKey}`.
+   *
+   * @param {Object} options - The options to use.
+   * @param {Array<Object>} options.operations - The operations to perform.
+   * @param {Object|Array<Object>} options.signer - An API with an `id`
+   *   property and a `sign` function for authentication purposes, or an
+   *   array of them.
+   *
+   * @returns {Promise<Array<Object>>} Resolves to one object per operation,
+   *   in order: `{result}` with the value the operation's method would
+   *   return or `{error}` with a `KmsError` if that operation failed. The
+   *   promise rejects if the whole batch fails or, with a `KmsServerError`,
+   *   if the server does not return one result per operation.
+   */
+  async batch({operations, signer}) {
+    if(!Array.isArray(operations)) {
+      throw new TypeError('"operations" must be an array.');
+    }
+    assertSigner(signer);
+    const batched = operations.map(({method, ...options}) => {
+      const operation = BATCH_OPERATIONS[method];
+      if(!operation) {
+        throw new Error(`Unsupported batch operation method "${method}".`);
+      }
+      return {type: operation.type, ...operation.create(options)};
+    });
+    if(batched.length === 0) {
+      return [];
+    }
+
+    // the batch is posted to the plugin that manages every key
+    const urls = new Set(batched.map(
+      ({invocationTarget}) => _getPluginUrlFromKeyId(invocationTarget)));
+    if(urls.size !== 1) {
+      throw new Error(
+        'Every key in a batch must be managed by the same KMS plugin.');
+    }
+    const [url] = urls;
+
+    const {results} = await this._postOperation({
+      url,
+      operation: {
+        type: 'BatchOperation',
+        invocationTarget: url,
+        controller: getSignerId(signer),
+        operations: batched
       },
       signer
     });
-    return verified;
+    // results are matched to operations by position, so a response with
+    // missing or extra results cannot be trusted
+    if(!Array.isArray(results) || results.length !== operations.length) {
+      throw new KmsServerError({
+        operationType: 'BatchOperation',
+        message: 'KMS operation "BatchOperation" failed: expected ' +
+          `${operations.length} results.`,
+        details: {results}
+      });
+    }
+    return results.map(({result, error}, i) => {
+      const {method} = operations[i];
+      if(error) {
+        const {type: operationType, invocationTarget: keyId} = batched[i];
+        return {
+          error: _createStatusError({
+            operationType,
+            keyId,
+            status: error.status,
+            details: error,
+            message: `KMS operation "${operationType}" failed: ` +
+              error.message
+          })
+        };
+      }
+      return {result: BATCH_OPERATIONS[method].parse(result)};
+    });
   }
 
   /**
-   * Posts an operation to the KMS service.
+   * Delegates an authorization capability for a key to another party. The
+   * capability can be passed as `capability` to this service's operations
+   * (or to a key API such as `Kek`) by the invoker to use the key without
+   * access to the delegator's signer.
    *
    * @param {Object} options - The options to use.
-   * @param {string} options.url - The URL to post to, such as a key identifier.
-   * @param {Object} options.operation - The operation to run.
-   * @param {Object} options.signer - An API with a `sign` function for
-   *   authentication purposes.
+   * @param {string} options.keyId - The ID of the key.
+   * @param {string} options.invoker - The ID of the party that may invoke
+   *   the capability, such as a DID or key ID.
+   * @param {Array<string>} options.allowedActions - The actions that may be
+   *   performed with the key, such as `['unwrapKey']`.
+   * @param {Date|string} [options.expires] - When the capability expires.
+   * @param {Object} options.signer - An API with an `id` property and a
+   *   `sign` function for the controller of the key.
+   * @param {string|Object} [options.parentCapability] - The capability to
+   *   delegate from; defaults to the key's root capability.
    *
-   * @returns {Promise<Object>} Resolves to the result of the operation.
+   * @returns {Promise<Object>} The signed delegated capability.
    */
-  async _postOperation({url, operation, signer}) {
-    // TODO: ensure `signer` uses an Ed25519 key
+  async delegateCapability({
+    keyId, invoker, allowedActions, expires, signer,
+    parentCapability = keyId
+  }) {
+    assert(keyId, 'keyId', 'string');
+    assert(invoker, 'invoker', 'string');
+    if(!(Array.isArray(allowedActions) && allowedActions.length > 0)) {
+      throw new TypeError('"allowedActions" must be a non-empty array.');
+    }
+    assert(signer, 'signer', 'object');
+    if(Array.isArray(signer)) {
+      throw new TypeError('"signer" must be a single signer.');
+    }
 
-    // attach capability invocation to operation
-    operation = {'@context': SECURITY_CONTEXT_V2_URL, ...operation};
-    const data = await sign(operation, {
+    const capability = {
+      '@context': SECURITY_CONTEXT_V2_URL,
+      id: `urn:zcap:${uuid()}`,
+      invocationTarget: keyId,
+      parentCapability: typeof parentCapability === 'string' ?
+        parentCapability : parentCapability.id,
+      invoker,
+      allowedAction: allowedActions
+    };
+    if(expires !== undefined) {
+      capability.expires = expires instanceof Date ?
+        expires.toISOString() : expires;
+    }
+
+    return sign(capability, {
       suite: new Ed25519Signature2018({
         signer,
         verificationMethod: signer.id
       }),
-      purpose: new CapabilityInvocation({capability: url})
+      purpose: new CapabilityDelegation({
+        capabilityChain: _getCapabilityChain(parentCapability)
+      }),
+      documentLoader
     });
+  }
 
-    // send operation
-    const response = await axios({
-      url,
-      method: 'POST',
-      data
+  async _getPlugins() {
+    const url = `${_getBaseUrl(this.config.urls.base)}/plugins`;
+    const {timeout, httpAgent, httpsAgent} = this.config;
+    try {
+      const response = await axios(
+        {url, method: 'GET', timeout, httpAgent, httpsAgent});
+      return response.data.plugins;
+    } catch(e) {
+      throw _createError({error: e, operationType: 'GetPlugins'});
+    }
+  }
+
+  async _assertPlugin({plugin, type, fips}) {
+    let plugins;
+    try {
+      plugins = await this.getPlugins();
+    } catch(e) {
+      // KMS services validate keys themselves, so keys are still generated
+      // when plugins cannot be discovered
+      return;
+    }
+    const found = plugins.find(({id}) => id === plugin);
+    if(!found) {
+      throw new Error(`KMS plugin "${plugin}" is not available.`);
+    }
+    if(!_supportsKeyType({plugin: found, type})) {
+      throw new Error(
+        `KMS plugin "${plugin}" does not support key type "${type}".`);
+    }
+    if(fips && !found.fips) {
+      throw new Error(`KMS plugin "${plugin}" is not FIPS compliant.`);
+    }
+  }
+
+  _getPluginUrl({plugin}) {
+    return `${_getBaseUrl(this.config.urls.base)}/${plugin}`;
+  }
+
+  /**
+   * Posts an operation to the KMS service.
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.url - The URL to post to, such as a key identifier.
+   * @param {Object} options.operation - The operation to run.
+   * @param {Object|Array<Object>} options.signer - An API with a `sign`
+   *   function for authentication purposes, or an array of them to attach
+   *   one capability invocation proof per signer.
+   * @param {string|Object} [options.capability] - The capability to invoke;
+   *   defaults to `url` which is the root capability for a key.
+   *
+   * @returns {Promise<Object>} Resolves to the result of the operation or
+   *   rejects with a `KmsError`.
+   */
+  async _postOperation({url, operation, signer, capability = url}) {
+    // TODO: ensure `signer` uses an Ed25519 key
+
+    // attach capability invocation to operation
+    operation = {'@context': _getContext(operation), ...operation};
+    const event = this._createEvent({operation, signer});
+    this._emit('before', event);
+    let data;
+    let headers;
+    try {
+      ({data, headers} = await this._invoke(
+        {url, operation, signer, capability}));
+    } catch(e) {
+      this._emit('error', {
+        ...event,
+        duration: Date.now() - Date.parse(event.started),
+        attempts: 0,
+        result: 'error',
+        error: {name: e.name, message: e.message}
+      });
+      throw e;
+    }
+
+    // send operation, retrying transient failures if it is safe to do so
+    const {timeout, retries, retryDelay, httpAgent, httpsAgent} = this.config;
+    const retryable = IDEMPOTENT_OPERATIONS.has(operation.type);
+    for(let attempt = 0; ; ++attempt) {
+      try {
+        const response = await axios({
+          url,
+          method: 'POST',
+          data,
+          headers,
+          timeout,
+          httpAgent,
+          httpsAgent
+        });
+        this._emit('after', {
+          ...event,
+          ..._getOutcome({event, attempt}),
+          result: 'success',
+          status: response.status
+        });
+        return response.data;
+      } catch(e) {
+        if(!(retryable && attempt < retries && _isTransient(e))) {
+          const error = _createError({
+            error: e,
+            operationType: operation.type,
+            keyId: _getKeyId(operation)
+          });
+          this._emit('error', {
+            ...event,
+            ..._getOutcome({event, attempt}),
+            result: 'error',
+            status: error.status,
+            error: {name: error.name, message: error.message}
+          });
+          throw error;
+        }
+      }
+      await _delay(retryDelay * 2 ** attempt);
+    }
+  }
+
+  async _invoke({url, operation, signer, capability}) {
+    const capabilityAction = CAPABILITY_ACTIONS[operation.type];
+    const signers = toArray(signer);
+    if(this.config.authorization === 'httpSignature') {
+      if(signers.length !== 1) {
+        throw new Error('HTTP Signatures only support a single signer.');
+      }
+      // the body must be sent exactly as it was digested
+      const body = JSON.stringify(operation);
+      const headers = await createSignatureHeaders(
+        {url, body, signer: signers[0], capability, capabilityAction});
+      return {
+        data: body,
+        headers: {...headers, 'content-type': 'application/json'}
+      };
+    }
+    let data = operation;
+    for(const s of signers) {
+      data = await sign(data, {
+        suite: new Ed25519Signature2018({
+          signer: s,
+          verificationMethod: s.id
+        }),
+        purpose: new CapabilityInvocation({capability, capabilityAction}),
+        documentLoader,
+        // compacting the proof would drop the `@context` of an embedded
+        // delegated capability, which is needed to verify it; the KMS
+        // context does not redefine any proof terms
+        compactProof: false
+      });
+    }
+    return {data, headers: {}};
+  }
+
+  _createEvent({operation, signer}) {
+    const event = {
+      operationType: operation.type,
+      keyId: _getKeyId(operation),
+      invoker: getSignerId(signer),
+      started: new Date().toISOString()
+    };
+    if(operation.type === 'BatchOperation') {
+      event.keyIds = [...new Set(
+        operation.operations.map(({invocationTarget}) => invocationTarget))];
+    }
+    if(this.getAuditContext) {
+      try {
+        event.context = this.getAuditContext();
+      } catch(error) {
+        this._reportError({error});
+      }
+    }
+    return event;
+  }
+
+  _emit(type, event) {
+    for(const listener of this._listeners[type]) {
+      try {
+        listener({type, ...event});
+      } catch(error) {
+        if(type === 'error') {
+          _rethrow(error);
+        } else {
+          this._reportError({error, event: {type, ...event}});
+        }
+      }
+    }
+    if(type !== 'before' && this.auditLog) {
+      this.auditLog.add(event).catch(
+        error => this._reportError({error, event}));
+    }
+  }
+
+  _reportError(event) {
+    for(const listener of this._listeners.error) {
+      try {
+        listener({type: 'error', ...event});
+      } catch(error) {
+        _rethrow(error);
+      }
+    }
+  }
+}
+
+// only operations that use a term the security v2 context lacks use the KMS
+// context so that KMS services that cannot resolve it still accept the rest
+function _getContext(operation) {
+  return _usesKmsTerms(operation) ?
+    [SECURITY_CONTEXT_V2_URL, KMS_CONTEXT_URL] : SECURITY_CONTEXT_V2_URL;
+}
+
+function _usesKmsTerms(value) {
+  if(Array.isArray(value)) {
+    return value.some(_usesKmsTerms);
+  }
+  if(!(value && typeof value === 'object')) {
+    return false;
+  }
+  return Object.keys(value).some(term => KMS_TERMS.has(term) ||
+    (term === 'type' && toArray(value.type).some(t => KMS_TERMS.has(t))) ||
+    _usesKmsTerms(value[term]));
+}
+
+function _getCapabilityChain(capability) {
+  // the chain lists the IDs of the root capability and any delegated
+  // capabilities leading to (and including) the given capability
+  if(typeof capability === 'string') {
+    return [capability];
+  }
+  const chain = [];
+  if(capability.proof && capability.proof.capabilityChain) {
+    chain.push(...capability.proof.capabilityChain);
+  }
+  chain.push(capability.id);
+  return chain;
+}
+
+function _getBaseUrl(base) {
+  assert(base, 'urls.base', 'string');
+  if(/^https?:\/\//.test(base)) {
+    return base.replace(/\/$/, '');
+  }
+  // resolve relative URLs against the current page
+  if(typeof window === 'undefined' || !window.location) {
+    throw new Error(
+      '"urls.base" must be an absolute URL outside of a web browser.');
+  }
+  return `${window.location.origin}${base}`;
+}
+
+function _getPluginUrlFromKeyId(keyId) {
+  // key IDs are generated as `<plugin URL>/<uuid>`
+  return keyId.substr(0, keyId.lastIndexOf('/'));
+}
+
+function _supportsKeyType({plugin, type, fips = false}) {
+  return (!fips || plugin.fips === true) &&
+    (plugin.keyTypes || []).some(keyType => keyType.type === type);
+}
+
+function _isDiscoveryUnsupported(error) {
+  return error.status === 404 || error.status === 501;
+}
+
+function _isTransient(error) {
+  // `501 Not Implemented` will not change on retry
+  const {response} = error;
+  return !response || (response.status >= 500 && response.status !== 501);
+}
+
+function _withDigestAlgorithm(operation, digestAlgorithm) {
+  // records that `verifyData` is a digest of the data
+  if(digestAlgorithm !== undefined) {
+    operation.digestAlgorithm = digestAlgorithm;
+  }
+  return operation;
+}
+
+function _getKeyId({invocationTarget}) {
+  return typeof invocationTarget === 'string' ?
+    invocationTarget : invocationTarget.id;
+}
+
+function _getOutcome({event, attempt}) {
+  return {
+    duration: Date.now() - Date.parse(event.started),
+    attempts: attempt + 1
+  };
+}
+
+function _createError({error, operationType, keyId}) {
+  const options = {operationType, keyId, cause: error};
+
+  const {response} = error;
+  if(!response) {
+    return new KmsNetworkError({
+      ...options,
+      message: `KMS operation "${operationType}" failed: ${error.message}`
     });
-    return response.data;
   }
+
+  const {status, data: details} = response;
+  const reason = (details && details.message) || error.message;
+  return _createStatusError({
+    ...options,
+    status,
+    details,
+    message: `KMS operation "${operationType}" failed: ${reason}`
+  });
 }
 
-async function _assert(variable, name, types) {
-  if(!Array.isArray(types)) {
-    types = [types];
+function _createStatusError(options) {
+  const {status, details} = options;
+  if(details && details.keyState) {
+    return new KmsKeyStateError({...options, keyState: details.keyState});
+  }
+  if(details && details.threshold) {
+    return new KmsThresholdError({...options, threshold: details.threshold});
+  }
+  if(status === 404) {
+    return new KmsNotFoundError(options);
   }
-  const type = variable instanceof Uint8Array ? 'Uint8Array' : typeof variable;
-  if(!types.includes(type)) {
+  if(status === 401 || status === 403) {
+    return new KmsPermissionError(options);
+  }
+  if(status >= 500) {
+    return new KmsServerError(options);
+  }
+  return new KmsOperationError(options);
+}
+
+async function _delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// reporting an `error` listener's error as another `error` event could loop
+// forever, so it is left to the environment to report
+function _rethrow(error) {
+  setTimeout(() => {
+    throw error;
+  });
+}
+
+function _assertEventType(type) {
+  if(!EVENT_TYPES.includes(type)) {
     throw new TypeError(
-      `"${name}" must be ${types.length > 1 ? 'a' : 'one of'} ` +
-      `${types.join(', ')}.`);
+      `"type" must be one of ${EVENT_TYPES.join(', ')}.`);
   }
 }
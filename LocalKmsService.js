@@ -0,0 +1,698 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+import base64url from 'base64url-universal';
+import cryptoLd from 'crypto-ld';
+import uuid from 'uuid-random';
+import crypto from './crypto.js';
+import * as indexedDb from './indexedDb.js';
+import {prehash} from './digest.js';
+import {
+  KEY_TYPES,
+  assert,
+  assertController,
+  assertSigner,
+  assertThreshold,
+  getSignerId,
+  toArray
+} from './helpers.js';
+import {
+  KmsKeyStateError,
+  KmsNotFoundError,
+  KmsOperationError,
+  KmsPermissionError,
+  KmsThresholdError
+} from './errors.js';
+
+const {Ed25519KeyPair} = cryptoLd;
+
+const STORE_NAME = 'local-kms-keys';
+
+// master key IDs end with the fingerprint of their public key
+const MASTER_KEY_ID_PREFIX = 'urn:bedrock-web-kms:key:';
+
+// the size, in bytes, of the challenge each signer must sign
+const CHALLENGE_SIZE = 32;
+
+// raw keys are carried through WebCrypto's wrap/unwrap as HMAC keys because
+// those may be imported from raw bytes of any length
+const RAW_KEY_ALGORITHM = {name: 'HMAC', hash: {name: 'SHA-256'}};
+
+// the methods that may be used in a batch
+const BATCH_METHODS = ['wrapKey', 'unwrapKey', 'sign', 'verify'];
+
+export class LocalKmsService {
+  /**
+   * Creates a KMS service that runs entirely in the browser using WebCrypto.
+   * It can be used in place of a `KmsService` for offline use, demos and
+   * tests. Keys are generated as non-extractable `CryptoKey`s, so their
+   * material cannot be read by scripts, but they are only as safe as the
+   * browser profile that stores them.
+   *
+   * Only KEKs (`AesKeyWrappingKey2019`) and HMAC keys
+   * (`Sha256HmacKey2019`, `Sha384HmacKey2019` and `Sha512HmacKey2019`) are
+   * supported. Operations are authorized by having each signer sign a fresh
+   * challenge, which is verified using the public key named by the signer's
+   * master key ID, and checking that the signer is a controller of the key
+   * (or, for a key with a `threshold`, that enough of the signers are).
+   * Delegated capabilities are not supported.
+   *
+   * @param {Object} [options] - The options to use.
+   * @param {string} [options.storage=indexedDB] - Where to keep keys:
+   *   `indexedDB` to persist them or `memory` to keep them only as long as
+   *   this instance.
+   *
+   * @returns {LocalKmsService} The new LocalKmsService instance.
+   */
+  constructor({storage = 'indexedDB'} = {}) {
+    if(storage === 'indexedDB') {
+      this._store = _createIndexedDbKeyStore();
+    } else if(storage === 'memory') {
+      this._store = _createMemoryKeyStore();
+    } else {
+      throw new Error(`Unsupported storage "${storage}".`);
+    }
+  }
+
+  /**
+   * Generates a new cryptographic key.
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.plugin - The name used to group keys, in place
+   *   of a KMS plugin.
+   * @param {string} options.type - The key type (e.g. 'AesKeyWrappingKey2019').
+   * @param {Object|Array<Object>} options.signer - An API with an `id`
+   *   property, or an array of them.
+   * @param {string|Array<string>} [options.controller] - The controller(s)
+   *   of the key; defaults to the ID(s) of `signer`. At least one signer
+   *   must be a controller.
+   * @param {number} [options.threshold] - The number of controllers that
+   *   must sign every operation on the key, including this one; by default
+   *   any one controller may.
+   * @param {Object} [options.lineage] - Set when the key is generated to
+   *   replace another key; `previousKey` is the ID of the replaced key and
+   *   `rotated` is the date of the rotation.
+   *
+   * @returns {Promise<string>} The ID for the key.
+   */
+  async generateKey({
+    plugin, type, signer, controller = getSignerId(signer), threshold,
+    lineage
+  }) {
+    assert(plugin, 'plugin', 'string');
+    assert(type, 'type', 'string');
+    assertSigner(signer);
+    assertController(controller);
+    const id = `${_getKeyIdPrefix({plugin})}${uuid()}`;
+    if(threshold !== undefined) {
+      assertThreshold({threshold, controller});
+    }
+    // the key must be usable by those who generate it
+    await _assertAuthorized({
+      operationType: 'GenerateKeyOperation',
+      keyId: id,
+      description: {controller, threshold},
+      signer
+    });
+
+    const params = KEY_TYPES[type];
+    if(!params) {
+      throw _createError({
+        operationType: 'GenerateKeyOperation',
+        keyId: id,
+        status: 400,
+        reason: `Unsupported key type "${type}".`
+      });
+    }
+    const cryptoKey = await crypto.subtle.generateKey(
+      params.algorithm, false, params.usages);
+    const description = {
+      id,
+      type,
+      controller,
+      created: new Date().toISOString()
+    };
+    if(threshold !== undefined) {
+      description.threshold = threshold;
+    }
+    if(lineage) {
+      const {previousKey, rotated} = lineage;
+      Object.assign(description, {previousKey, rotated});
+    }
+    await this._store.set({id, record: {description, cryptoKey}});
+    return id;
+  }
+
+  /**
+   * Gets the description of a cryptographic key.
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.keyId - The ID of the key.
+   * @param {Object|Array<Object>} options.signer - An API with an `id`
+   *   property, or an array of them.
+   * @param {string|Object} [options.capability] - Must be omitted or be the
+   *   key's root capability.
+   *
+   * @returns {Promise<Object>} The key description.
+   */
+  async getKeyDescription({keyId, signer, capability}) {
+    assert(keyId, 'keyId', 'string');
+    assertSigner(signer);
+    const {description} = await this._getKey({
+      operationType: 'GetKeyDescriptionOperation', keyId, signer, capability
+    });
+    return {...description};
+  }
+
+  /**
+   * Updates the controller(s) of a cryptographic key.
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.keyId - The ID of the key.
+   * @param {string|Array<string>} options.controller - The new controller(s).
+   * @param {Object|Array<Object>} options.signer - An API with an `id`
+   *   property, or an array of them.
+   *
+   * @returns {Promise<undefined>} On completion.
+   */
+  async updateKeyController({keyId, controller, signer}) {
+    assert(keyId, 'keyId', 'string');
+    assertController(controller);
+    assertSigner(signer);
+    const operationType = 'UpdateKeyControllerOperation';
+    const record = await this._getKey({operationType, keyId, signer});
+    const {threshold = 1} = record.description;
+    if(toArray(controller).length < threshold) {
+      throw _createError({
+        operationType, keyId, status: 400,
+        reason: `The key must have at least ${threshold} controllers.`
+      });
+    }
+    record.description = {...record.description, controller};
+    await this._store.set({id: keyId, record});
+  }
+
+  /**
+   * Disables a cryptographic key; see `KmsService.disableKey`.
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.keyId - The ID of the key.
+   * @param {Object|Array<Object>} options.signer - An API with an `id`
+   *   property, or an array of them.
+   *
+   * @returns {Promise<undefined>} On completion.
+   */
+  async disableKey({keyId, signer}) {
+    await this._setKeyState(
+      {operationType: 'DisableKeyOperation', keyId, signer, state: 'disabled'});
+  }
+
+  /**
+   * Enables a disabled cryptographic key; see `KmsService.enableKey`.
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.keyId - The ID of the key.
+   * @param {Object|Array<Object>} options.signer - An API with an `id`
+   *   property, or an array of them.
+   *
+   * @returns {Promise<undefined>} On completion.
+   */
+  async enableKey({keyId, signer}) {
+    await this._setKeyState(
+      {operationType: 'EnableKeyOperation', keyId, signer, state: 'enabled'});
+  }
+
+  /**
+   * Permanently revokes a cryptographic key; see `KmsService.revokeKey`.
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.keyId - The ID of the key.
+   * @param {string} [options.reason] - Why the key was revoked.
+   * @param {Object|Array<Object>} options.signer - An API with an `id`
+   *   property, or an array of them.
+   *
+   * @returns {Promise<undefined>} On completion.
+   */
+  async revokeKey({keyId, reason, signer}) {
+    const revocation = {revoked: new Date().toISOString()};
+    if(reason !== undefined) {
+      assert(reason, 'reason', 'string');
+      revocation.revocationReason = reason;
+    }
+    await this._setKeyState({
+      operationType: 'RevokeKeyOperation', keyId, signer, state: 'revoked',
+      revocation
+    });
+  }
+
+  /**
+   * Deletes a cryptographic key; see `KmsService.deleteKey`.
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.keyId - The ID of the key.
+   * @param {Object|Array<Object>} options.signer - An API with an `id`
+   *   property, or an array of them.
+   *
+   * @returns {Promise<undefined>} On completion.
+   */
+  async deleteKey({keyId, signer}) {
+    assert(keyId, 'keyId', 'string');
+    assertSigner(signer);
+    await this._getKey({operationType: 'DeleteKeyOperation', keyId, signer});
+    await this._store.remove({id: keyId});
+  }
+
+  /**
+   * Lists the descriptions of the cryptographic keys controlled by the
+   * given signer.
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.plugin - The name the keys were grouped under.
+   * @param {Object} options.signer - An API with an `id` property.
+   * @param {Object} [options.filter] - Properties that each returned key
+   *   description must match, such as `{type: 'AesKeyWrappingKey2019'}`.
+   *
+   * @returns {Promise<Array>} The key descriptions.
+   */
+  async listKeys({plugin, signer, filter = {}}) {
+    assert(plugin, 'plugin', 'string');
+    assertSigner(signer);
+    if(Array.isArray(signer)) {
+      throw new TypeError('"signer" must be a single signer.');
+    }
+    assert(filter, 'filter', 'object');
+    await _verifySigners(
+      {operationType: 'ListKeysOperation', signers: [signer]});
+    const prefix = _getKeyIdPrefix({plugin});
+    const records = await this._store.getAll();
+    return records
+      .map(({description}) => ({...description}))
+      .filter(d => d.id.startsWith(prefix))
+      .filter(d => toArray(d.controller).includes(signer.id))
+      .filter(d => Object.keys(filter).every(k => d[k] === filter[k]));
+  }
+
+  /**
+   * Wraps a cryptographic key using a key encryption key (KEK).
+   *
+   * @param {Object} options - The options to use.
+   * @param {Uint8Array} options.key - The key material as a Uint8Array.
+   * @param {string} options.kekId - The ID of the wrapping key to use.
+   * @param {Object|Array<Object>} options.signer - An API with an `id`
+   *   property, or an array of them.
+   * @param {string|Object} [options.capability] - Must be omitted or be the
+   *   key's root capability.
+   *
+   * @returns {Promise<string>} The base64url-encoded wrapped key bytes.
+   */
+  async wrapKey({key, kekId, signer, capability}) {
+    assert(key, 'key', 'Uint8Array');
+    assert(kekId, 'kekId', 'string');
+    assertSigner(signer);
+    const operationType = 'WrapKeyOperation';
+    const {cryptoKey} = await this._getKey(
+      {operationType, keyId: kekId, signer, capability, usage: 'wrapKey'});
+    try {
+      const unwrappedKey = await crypto.subtle.importKey(
+        'raw', key, RAW_KEY_ALGORITHM, true, ['sign']);
+      const wrappedKey = await crypto.subtle.wrapKey(
+        'raw', unwrappedKey, cryptoKey, 'AES-KW');
+      return base64url.encode(new Uint8Array(wrappedKey));
+    } catch(e) {
+      throw _createError({
+        operationType, keyId: kekId, status: 400, cause: e,
+        reason: 'Could not wrap key.'
+      });
+    }
+  }
+
+  /**
+   * Unwraps a cryptographic key using a key encryption key (KEK).
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.wrappedKey - The wrapped key material as a
+   *   base64url-encoded string.
+   * @param {string} options.kekId - The ID of the unwrapping key to use.
+   * @param {Object|Array<Object>} options.signer - An API with an `id`
+   *   property, or an array of them.
+   * @param {string|Object} [options.capability] - Must be omitted or be the
+   *   key's root capability.
+   *
+   * @returns {Promise<Uint8Array>} The key bytes.
+   */
+  async unwrapKey({wrappedKey, kekId, signer, capability}) {
+    assert(wrappedKey, 'wrappedKey', 'string');
+    assert(kekId, 'kekId', 'string');
+    assertSigner(signer);
+    const operationType = 'UnwrapKeyOperation';
+    const {cryptoKey} = await this._getKey(
+      {operationType, keyId: kekId, signer, capability, usage: 'unwrapKey'});
+    return _unwrap({operationType, kekId, cryptoKey, wrappedKey});
+  }
+
+  /**
+   * Rewraps a wrapped cryptographic key: it is unwrapped using one KEK and
+   * wrapped again using another KEK without exposing the key material to
+   * the caller. Both KEKs must be controlled by `signer`.
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.wrappedKey - The wrapped key material as a
+   *   base64url-encoded string.
+   * @param {string} options.kekId - The ID of the KEK that wrapped the key.
+   * @param {string} options.destinationKekId - The ID of the KEK to wrap the
+   *   key with.
+   * @param {Object|Array<Object>} options.signer - An API with an `id`
+   *   property, or an array of them.
+   * @param {string|Object} [options.capability] - Must be omitted or be the
+   *   key's root capability.
+   *
+   * @returns {Promise<string>} The base64url-encoded rewrapped key bytes.
+   */
+  async rewrapKey({wrappedKey, kekId, destinationKekId, signer, capability}) {
+    assert(wrappedKey, 'wrappedKey', 'string');
+    assert(kekId, 'kekId', 'string');
+    assert(destinationKekId, 'destinationKekId', 'string');
+    assertSigner(signer);
+    const operationType = 'RewrapKeyOperation';
+    const {cryptoKey} = await this._getKey(
+      {operationType, keyId: kekId, signer, capability, usage: 'unwrapKey'});
+    const {cryptoKey: destination} = await this._getKey({
+      operationType, keyId: destinationKekId, signer, usage: 'wrapKey'
+    });
+    const key = await _unwrap({operationType, kekId, cryptoKey, wrappedKey});
+    try {
+      const unwrappedKey = await crypto.subtle.importKey(
+        'raw', key, RAW_KEY_ALGORITHM, true, ['sign']);
+      const rewrappedKey = await crypto.subtle.wrapKey(
+        'raw', unwrappedKey, destination, 'AES-KW');
+      return base64url.encode(new Uint8Array(rewrappedKey));
+    } catch(e) {
+      throw _createError({
+        operationType, keyId: destinationKekId, status: 400, cause: e,
+        reason: 'Could not wrap key.'
+      });
+    } finally {
+      // the key material never leaves the local KMS
+      key.fill(0);
+    }
+  }
+
+  /**
+   * Signs some data using an HMAC key.
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.keyId - The ID of the signing key to use.
+   * @param {Uint8Array} [options.data] - The data to sign as a Uint8Array.
+   * @param {string} [options.digestAlgorithm] - The algorithm to hash the
+   *   data with before signing; see `KmsService.sign`.
+   * @param {Uint8Array} [options.digest] - A digest of the data computed
+   *   using `digestAlgorithm`, given instead of `data`.
+   * @param {Object|Array<Object>} options.signer - An API with an `id`
+   *   property, or an array of them.
+   * @param {string|Object} [options.capability] - Must be omitted or be the
+   *   key's root capability.
+   *
+   * @returns {Promise<string>} The base64url-encoded signature.
+   */
+  async sign({keyId, data, digestAlgorithm, digest, signer, capability}) {
+    assert(keyId, 'keyId', 'string');
+    assertSigner(signer);
+    data = await prehash({data, digest, digestAlgorithm});
+    const {cryptoKey} = await this._getKey({
+      operationType: 'SignOperation', keyId, signer, capability, usage: 'sign'
+    });
+    const signature = await crypto.subtle.sign('HMAC', cryptoKey, data);
+    return base64url.encode(new Uint8Array(signature));
+  }
+
+  /**
+   * Verifies some data using an HMAC key.
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.keyId - The ID of the signing key to use.
+   * @param {Uint8Array} [options.data] - The data to verify as a Uint8Array.
+   * @param {string} [options.digestAlgorithm] - The algorithm the data was
+   *   hashed with before signing.
+   * @param {Uint8Array} [options.digest] - A digest of the data computed
+   *   using `digestAlgorithm`, given instead of `data`.
+   * @param {string} options.signature - The base64url-encoded signature to
+   *   verify.
+   * @param {Object|Array<Object>} options.signer - An API with an `id`
+   *   property, or an array of them.
+   * @param {string|Object} [options.capability] - Must be omitted or be the
+   *   key's root capability.
+   *
+   * @returns {Promise<boolean>} `true` if verified, `false` if not.
+   */
+  async verify({
+    keyId, data, digestAlgorithm, digest, signature, signer, capability
+  }) {
+    assert(keyId, 'keyId', 'string');
+    assert(signature, 'signature', 'string');
+    assertSigner(signer);
+    data = await prehash({data, digest, digestAlgorithm});
+    const {cryptoKey} = await this._getKey({
+      operationType: 'VerifyOperation', keyId, signer, capability,
+      usage: 'verify'
+    });
+    return crypto.subtle.verify(
+      'HMAC', cryptoKey, base64url.decode(signature), data);
+  }
+
+  /**
+   * Performs many key operations; see `KmsService.batch`.
+   *
+   * @param {Object} options - The options to use.
+   * @param {Array<Object>} options.operations - The operations to perform.
+   * @param {Object|Array<Object>} options.signer - An API with an `id`
+   *   property, or an array of them.
+   *
+   * @returns {Promise<Array<Object>>} Resolves to one object per operation,
+   *   in order: `{result}` or `{error}`.
+   */
+  async batch({operations, signer}) {
+    if(!Array.isArray(operations)) {
+      throw new TypeError('"operations" must be an array.');
+    }
+    assertSigner(signer);
+    for(const {method} of operations) {
+      if(!BATCH_METHODS.includes(method)) {
+        throw new Error(`Unsupported batch operation method "${method}".`);
+      }
+    }
+    const results = [];
+    for(const {method, ...options} of operations) {
+      try {
+        results.push({result: await this[method]({...options, signer})});
+      } catch(error) {
+        results.push({error});
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Delegated capabilities are not supported by the local KMS.
+   *
+   * @returns {Promise} Always rejects.
+   */
+  async delegateCapability() {
+    throw new Error('Capability delegation is not supported by the local KMS.');
+  }
+
+  async _getKey({operationType, keyId, signer, capability, usage}) {
+    if(!(capability === undefined || capability === keyId)) {
+      throw _createError({
+        operationType, keyId, status: 501,
+        reason: 'Delegated capabilities are not supported by the local KMS.'
+      });
+    }
+    const record = await this._store.get({id: keyId});
+    if(!record) {
+      throw _createError({
+        operationType, keyId, status: 404,
+        reason: `Key "${keyId}" not found.`
+      });
+    }
+    await _assertAuthorized(
+      {operationType, keyId, description: record.description, signer});
+    if(usage && !record.cryptoKey.usages.includes(usage)) {
+      throw _createError({
+        operationType, keyId, status: 400,
+        reason: `Key does not support "${usage}".`
+      });
+    }
+    const {state = 'enabled'} = record.description;
+    if(usage && state !== 'enabled') {
+      throw _createError({
+        operationType, keyId, status: 409, keyState: state,
+        reason: `Key "${keyId}" is ${state}.`
+      });
+    }
+    return record;
+  }
+
+  async _setKeyState({operationType, keyId, signer, state, revocation}) {
+    assert(keyId, 'keyId', 'string');
+    assertSigner(signer);
+    const record = await this._getKey({operationType, keyId, signer});
+    if(record.description.state === 'revoked') {
+      throw _createError({
+        operationType, keyId, status: 409, keyState: 'revoked',
+        reason: `Key "${keyId}" is revoked.`
+      });
+    }
+    record.description = {...record.description, state, ...revocation};
+    await this._store.set({id: keyId, record});
+  }
+}
+
+// keeps key records in this module's IndexedDB database
+function _createIndexedDbKeyStore() {
+  return {
+    async get({id}) {
+      return indexedDb.withStore(
+        {storeName: STORE_NAME, fn: store => store.get(id)});
+    },
+    async getAll() {
+      return indexedDb.withStore(
+        {storeName: STORE_NAME, fn: store => store.getAll()});
+    },
+    async set({id, record}) {
+      await indexedDb.withStore({
+        storeName: STORE_NAME,
+        mode: 'readwrite',
+        fn: store => store.put(record, id)
+      });
+    },
+    async remove({id}) {
+      await indexedDb.withStore({
+        storeName: STORE_NAME,
+        mode: 'readwrite',
+        fn: store => store.delete(id)
+      });
+    }
+  };
+}
+
+// keeps key records in memory; records are copied so that callers cannot
+// change stored records without calling `set`
+function _createMemoryKeyStore() {
+  const map = new Map();
+  return {
+    async get({id}) {
+      const record = map.get(id);
+      return record && {...record};
+    },
+    async getAll() {
+      return [...map.values()].map(record => ({...record}));
+    },
+    async set({id, record}) {
+      map.set(id, {...record});
+    },
+    async remove({id}) {
+      map.delete(id);
+    }
+  };
+}
+
+async function _unwrap({operationType, kekId, cryptoKey, wrappedKey}) {
+  try {
+    const unwrappedKey = await crypto.subtle.unwrapKey(
+      'raw', base64url.decode(wrappedKey), cryptoKey, 'AES-KW',
+      RAW_KEY_ALGORITHM, true, ['sign']);
+    return new Uint8Array(await crypto.subtle.exportKey('raw', unwrappedKey));
+  } catch(e) {
+    throw _createError({
+      operationType, keyId: kekId, status: 400, cause: e,
+      reason: 'Could not unwrap key.'
+    });
+  }
+}
+
+function _getKeyIdPrefix({plugin}) {
+  return `urn:bedrock-web-kms:local:${plugin}:`;
+}
+
+function _createError(
+  {operationType, keyId, status, keyState, threshold, reason, cause}) {
+  const options = {
+    operationType,
+    keyId,
+    status,
+    cause,
+    message: `KMS operation "${operationType}" failed: ${reason}`
+  };
+  if(keyState) {
+    return new KmsKeyStateError({...options, keyState});
+  }
+  if(threshold) {
+    return new KmsThresholdError({...options, threshold});
+  }
+  if(status === 404) {
+    return new KmsNotFoundError(options);
+  }
+  if(status === 403) {
+    return new KmsPermissionError(options);
+  }
+  return new KmsOperationError(options);
+}
+
+async function _assertAuthorized(
+  {operationType, keyId, description, signer}) {
+  // each signer stands in for a capability invocation proof, so every
+  // signer that is a controller counts toward the key's threshold once it
+  // has proven that it holds the controller's key
+  const {controller, threshold = 1} = description;
+  const controllers = toArray(controller);
+  const authorized = toArray(signer).filter(s => controllers.includes(s.id));
+  if(authorized.length === 0) {
+    throw _createError({
+      operationType, keyId, status: 403,
+      reason: 'Signer is not a controller of the key.'
+    });
+  }
+  if(authorized.length < threshold) {
+    throw _createError({
+      operationType, keyId, status: 403, threshold,
+      reason: `${threshold} of the key's controllers must sign but only ` +
+        `${authorized.length} did.`
+    });
+  }
+  await _verifySigners({operationType, keyId, signers: authorized});
+}
+
+// has each signer sign a fresh challenge and verifies the signature using
+// the public key named by the signer's ID, so that an object with a
+// controller's ID cannot stand in for the controller
+async function _verifySigners({operationType, keyId, signers}) {
+  for(const signer of signers) {
+    const data = crypto.getRandomValues(new Uint8Array(CHALLENGE_SIZE));
+    const verified = typeof signer.sign === 'function' &&
+      await _verifyChallenge(
+        {id: signer.id, data, signature: await signer.sign({data})});
+    if(!verified) {
+      throw _createError({
+        operationType, keyId, status: 403,
+        reason: `Signer "${signer.id}" could not prove control of its key.`
+      });
+    }
+  }
+}
+
+async function _verifyChallenge({id, data, signature}) {
+  if(!(typeof id === 'string' && id.startsWith(MASTER_KEY_ID_PREFIX))) {
+    return false;
+  }
+  let keyPair;
+  try {
+    keyPair = Ed25519KeyPair.fromFingerprint(
+      {fingerprint: id.substr(MASTER_KEY_ID_PREFIX.length)});
+  } catch(e) {
+    // not a valid fingerprint, so no key can be verified
+    return false;
+  }
+  return keyPair.verifier().verify({data, signature});
+}
@@ -0,0 +1,31 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+export class MemoryStorage {
+  /**
+   * Creates an in-memory storage backend. Values do not survive a page
+   * reload.
+   *
+   * @returns {MemoryStorage} The new MemoryStorage instance.
+   */
+  constructor() {
+    this.persistent = false;
+    this._map = new Map();
+  }
+
+  async get(key) {
+    const value = this._map.get(key);
+    // store copies so callers cannot mutate stored values
+    return value === undefined ? undefined : JSON.parse(value);
+  }
+
+  async set(key, value) {
+    this._map.set(key, JSON.stringify(value));
+  }
+
+  async remove(key) {
+    this._map.delete(key);
+  }
+}
@@ -4,74 +4,258 @@
 'use strict';
 
 import base64url from 'base64url-universal';
+import crypto from './crypto.js';
+import * as indexedDb from './indexedDb.js';
+import {createStorage} from './storage.js';
 
 const SEED_CACHE_KEY = 'bedrock-web-kms-seed-cache';
+const KEY_STORE_NAME = 'keys';
+const KEY_ID = 'seed-cache-key';
 
 export class SeedCache {
-  constructor() {}
-
-  async set({accountId, seed}) {
-    if(typeof localStorage === 'undefined') {
-      return false;
+  /**
+   * Creates a new seed cache. Seeds written to persistent storage are
+   * encrypted using a non-extractable key that is stored in IndexedDB; only
+   * the ciphertext is written to the storage backend. Where IndexedDB is
+   * not available and no `encryptionKey` is given, the default storage
+   * backend is `memory` so that seeds are never persisted unencrypted.
+   *
+   * @param {Object} [options] - The options to use.
+   * @param {string|Object} [options.storage] - The storage backend to use:
+   *   `localStorage`, `sessionStorage`, `indexedDB`, `memory` or an object
+   *   with async `get`, `set` and `remove` functions; defaults to
+   *   `localStorage` if it and IndexedDB (or an `encryptionKey`) are
+   *   available, otherwise `memory`.
+   * @param {boolean} [options.encrypt] - `true` to encrypt seeds; defaults
+   *   to `true` for persistent storage backends.
+   * @param {CryptoKey} [options.encryptionKey] - The AES-GCM key to encrypt
+   *   seeds with; defaults to a key stored in IndexedDB. It must be given
+   *   to encrypt seeds where IndexedDB is not available, such as in Node.js.
+   * @param {number} [options.ttl] - The default number of milliseconds a
+   *   seed may be cached for; defaults to no limit.
+   * @param {number} [options.idleTimeout] - The default number of
+   *   milliseconds a seed may go unused before it expires; defaults to no
+   *   limit.
+   *
+   * @returns {SeedCache} The new SeedCache instance.
+   */
+  constructor({storage, encrypt, encryptionKey, ttl, idleTimeout} = {}) {
+    if(storage === undefined && !encryptionKey && !indexedDb.isAvailable()) {
+      // the default key cannot be stored, so seeds could not be encrypted
+      storage = 'memory';
     }
+    this.storage = createStorage(storage);
+    this.encrypt = encrypt === undefined ? !!this.storage.persistent : encrypt;
+    this.ttl = ttl;
+    this.idleTimeout = idleTimeout;
+    this._key = encryptionKey ? Promise.resolve(encryptionKey) : null;
+  }
 
-    const cache = this._getCache();
-
-    try {
-      cache[accountId] = base64url.encode(seed);
-      return this._updateCache(cache);
-    } catch(e) {}
-
-    return false;
+  /**
+   * Caches a seed.
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.accountId - The ID of the account.
+   * @param {Uint8Array} options.seed - The seed to cache.
+   * @param {number} [options.ttl] - Overrides the default `ttl`.
+   * @param {number} [options.idleTimeout] - Overrides the default
+   *   `idleTimeout`.
+   *
+   * @returns {Promise<boolean>} Resolves to `true` once cached; rejects if
+   *   the seed could not be encrypted or stored.
+   */
+  async set({
+    accountId, seed, ttl = this.ttl, idleTimeout = this.idleTimeout
+  }) {
+    const now = Date.now();
+    const entry = {
+      ...await this._encode({accountId, seed}),
+      lastAccessed: now
+    };
+    if(ttl !== undefined) {
+      entry.expires = now + ttl;
+    }
+    if(idleTimeout !== undefined) {
+      entry.idleTimeout = idleTimeout;
+    }
+    const cache = await this._getCache();
+    cache[accountId] = entry;
+    return this._updateCache(cache);
   }
 
+  /**
+   * Gets a cached seed. Expired entries and entries that cannot be
+   * decrypted with the encryption key are removed.
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.accountId - The ID of the account.
+   *
+   * @returns {Promise<Uint8Array>} The seed or `null` if not found; rejects
+   *   if the storage backend or the encryption key cannot be used.
+   */
   async get({accountId}) {
-    if(typeof localStorage === 'undefined') {
+    const cache = await this._getCache();
+    const entry = cache[accountId];
+    if(!entry) {
       return null;
     }
+    if(typeof entry === 'string') {
+      // legacy plaintext entry; migrate it to an encrypted entry
+      const seed = base64url.decode(entry);
+      try {
+        await this.set({accountId, seed});
+      } catch(e) {
+        // never leave plaintext behind, even if it can't be encrypted
+        await this.remove({accountId});
+        throw e;
+      }
+      return seed;
+    }
 
-    const cache = this._getCache();
+    const now = Date.now();
+    if(_isExpired({entry, now})) {
+      await this.remove({accountId});
+      return null;
+    }
 
+    let seed;
     try {
-      const encodedSeed = cache[accountId];
-      if(encodedSeed) {
-        return base64url.decode(encodedSeed);
+      seed = await this._decode({accountId, entry});
+    } catch(e) {
+      if(e.name !== 'OperationError') {
+        throw e;
       }
-    } catch(e) {}
-
-    return null;
+      // entry was not encrypted with this key (e.g. the key was cleared)
+      await this.remove({accountId});
+      return null;
+    }
+    if(entry.idleTimeout !== undefined) {
+      entry.lastAccessed = now;
+      await this._updateCache(cache);
+    }
+    return seed;
   }
 
+  /**
+   * Removes a cached seed.
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.accountId - The ID of the account.
+   *
+   * @returns {Promise<boolean>} Resolves to `true` once removed; rejects if
+   *   the storage backend could not be updated.
+   */
   async remove({accountId}) {
-    if(typeof localStorage === 'undefined') {
-      return false;
-    }
+    const cache = await this._getCache();
+    delete cache[accountId];
+    return this._updateCache(cache);
+  }
 
-    const cache = this._getCache();
+  /**
+   * Removes all cached seeds. This should be called when the user logs out.
+   *
+   * @returns {Promise<boolean>} Resolves to `true` once cleared; rejects if
+   *   the storage backend could not be updated.
+   */
+  async clearAll() {
+    await this.storage.remove(SEED_CACHE_KEY);
+    return true;
+  }
 
-    try {
-      delete cache[accountId];
-      return this._updateCache(cache);
-    } catch(e) {}
+  async _encode({accountId, seed}) {
+    if(!this.encrypt) {
+      return {seed: base64url.encode(seed)};
+    }
+    const key = await this._getKey();
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+      {name: 'AES-GCM', iv, additionalData: _strToUint8Array(accountId)},
+      key, seed));
+    return {
+      iv: base64url.encode(iv),
+      ciphertext: base64url.encode(ciphertext)
+    };
+  }
 
-    return false;
+  async _decode({accountId, entry}) {
+    if(entry.seed) {
+      return base64url.decode(entry.seed);
+    }
+    const key = await this._getKey();
+    const iv = base64url.decode(entry.iv);
+    const ciphertext = base64url.decode(entry.ciphertext);
+    return new Uint8Array(await crypto.subtle.decrypt(
+      {name: 'AES-GCM', iv, additionalData: _strToUint8Array(accountId)},
+      key, ciphertext));
   }
 
-  _updateCache(cache) {
-    try {
-      localStorage.setItem(SEED_CACHE_KEY, JSON.stringify(cache));
-      return true;
-    } catch(e) {}
-    return false;
+  async _getKey() {
+    if(!this._key) {
+      this._key = _loadOrGenerateKey().catch(e => {
+        // allow another attempt on next use
+        this._key = null;
+        throw e;
+      });
+    }
+    return this._key;
   }
 
-  _getCache() {
+  async _updateCache(cache) {
+    await this.storage.set(SEED_CACHE_KEY, cache);
+    return true;
+  }
+
+  async _getCache() {
     let cache;
     try {
-      cache = JSON.parse(localStorage.getItem(SEED_CACHE_KEY)) || {};
+      cache = await this.storage.get(SEED_CACHE_KEY) || {};
     } catch(e) {
       cache = {};
     }
     return cache;
   }
 }
+
+function _isExpired({entry, now}) {
+  if(entry.expires !== undefined && now >= entry.expires) {
+    return true;
+  }
+  return entry.idleTimeout !== undefined &&
+    now - entry.lastAccessed >= entry.idleTimeout;
+}
+
+async function _loadOrGenerateKey() {
+  const key = await _getStoredKey();
+  if(key) {
+    return key;
+  }
+
+  // `CryptoKey` instances are structured-cloneable, so a non-extractable
+  // key can be persisted without its key material ever being exposed
+  const newKey = await crypto.subtle.generateKey(
+    {name: 'AES-GCM', length: 256}, false, ['encrypt', 'decrypt']);
+  try {
+    await indexedDb.withStore({
+      storeName: KEY_STORE_NAME,
+      mode: 'readwrite',
+      fn: store => store.add(newKey, KEY_ID)
+    });
+    return newKey;
+  } catch(e) {
+    // another tab may have stored a key first; use that one
+    const storedKey = await _getStoredKey();
+    if(!storedKey) {
+      throw e;
+    }
+    return storedKey;
+  }
+}
+
+async function _getStoredKey() {
+  return indexedDb.withStore(
+    {storeName: KEY_STORE_NAME, fn: store => store.get(KEY_ID)});
+}
+
+function _strToUint8Array(data) {
+  return new TextEncoder().encode(data);
+}
@@ -0,0 +1,264 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+import uuid from 'uuid-random';
+import {AccountMasterKey} from './AccountMasterKey.js';
+
+const EVENT_TYPES = ['login', 'logout', 'lock', 'error'];
+
+export class Session {
+  /**
+   * Creates a session that keeps master keys in sync across the tabs and
+   * windows of the same origin. Logging out or locking in one tab locks the
+   * master keys added to the session in every tab, so that every tab stops
+   * performing KMS operations at once. Messages are sent via a
+   * `BroadcastChannel` or, where that is not available, via `storage` events
+   * on `localStorage`; without either, the session only affects this tab.
+   *
+   * @param {Object} [options] - The options to use.
+   * @param {string} [options.name=bedrock-web-kms-session] - The name of the
+   *   channel; sessions with the same name are kept in sync.
+   * @param {Object} [options.cache] - The `SeedCache` to clear on logout;
+   *   defaults to the default cache.
+   *
+   * @returns {Session} The new Session instance.
+   */
+  constructor({name = 'bedrock-web-kms-session', cache} = {}) {
+    this.name = name;
+    this.cache = cache;
+    this._masterKeys = new Set();
+    this._listeners = {login: [], logout: [], lock: [], error: []};
+    this._channel = _createChannel(
+      {name, onMessage: message => this._receive(message)});
+  }
+
+  /**
+   * Adds a listener for a session event. Events are emitted for actions in
+   * this tab and in other tabs; they include the event `type`, the
+   * `accountId` for `login` and `logout` events and `remote`, which is
+   * `true` if the action was taken in another tab.
+   *
+   * An `error` event, with the `error` and the `accountId`, is emitted if
+   * this tab cannot clear its cache when another tab logs out. An error
+   * thrown by a listener is also emitted as an `error` event, with the
+   * `event` the listener was given; an error thrown by an `error` listener
+   * is rethrown asynchronously so that it is reported by the environment.
+   *
+   * @param {string} type - The event type: `login`, `logout`, `lock` or
+   *   `error`.
+   * @param {Function} listener - The function to call with each event.
+   *
+   * @returns {undefined}
+   */
+  on(type, listener) {
+    _assertEventType(type);
+    if(typeof listener !== 'function') {
+      throw new TypeError('"listener" must be a function.');
+    }
+    this._listeners[type].push(listener);
+  }
+
+  /**
+   * Removes a listener added via `on`.
+   *
+   * @param {string} type - The event type.
+   * @param {Function} listener - The listener to remove.
+   *
+   * @returns {undefined}
+   */
+  off(type, listener) {
+    _assertEventType(type);
+    this._listeners[type] = this._listeners[type].filter(l => l !== listener);
+  }
+
+  /**
+   * Adds a master key to this session so that it is locked when its account
+   * logs out or the session is locked, in this tab or any other.
+   *
+   * @param {AccountMasterKey} masterKey - The master key to add.
+   *
+   * @returns {AccountMasterKey} The master key.
+   */
+  add(masterKey) {
+    this._masterKeys.add(masterKey);
+    return masterKey;
+  }
+
+  /**
+   * Removes a master key from this session without locking it.
+   *
+   * @param {AccountMasterKey} masterKey - The master key to remove.
+   *
+   * @returns {undefined}
+   */
+  remove(masterKey) {
+    this._masterKeys.delete(masterKey);
+  }
+
+  /**
+   * Adds a master key to this session and tells every tab that its account
+   * has logged in; other tabs may then load it via `fromCache`.
+   *
+   * @param {Object} options - The options to use.
+   * @param {AccountMasterKey} options.masterKey - The master key.
+   *
+   * @returns {undefined}
+   */
+  login({masterKey}) {
+    this.add(masterKey);
+    this._send({type: 'login', accountId: masterKey.accountId});
+  }
+
+  /**
+   * Logs an account out in every tab: its cached seed is cleared and its
+   * master keys are locked.
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.accountId - The ID of the account.
+   *
+   * @returns {Promise<undefined>} On completion; rejects if the cache could
+   *   not be cleared in this tab, after every tab has been told to log out.
+   */
+  async logout({accountId}) {
+    if(typeof accountId !== 'string') {
+      throw new TypeError('"accountId" must be a string.');
+    }
+    const message = {type: 'logout', accountId};
+    try {
+      await this._logout(message);
+    } finally {
+      // other tabs must lock their master keys even if the cache in this
+      // tab could not be cleared
+      this._send(message);
+    }
+  }
+
+  /**
+   * Locks every master key in this session in every tab. Cached seeds are
+   * kept, so an application may load master keys again via `fromCache`
+   * once the user has authenticated; use `logout` to also clear them.
+   *
+   * @returns {undefined}
+   */
+  lock() {
+    this._lock();
+    this._send({type: 'lock'});
+  }
+
+  /**
+   * Stops receiving events from other tabs.
+   *
+   * @returns {undefined}
+   */
+  close() {
+    this._channel.close();
+  }
+
+  _send(message) {
+    this._channel.post(message);
+    this._emit({...message, remote: false});
+  }
+
+  async _receive(message) {
+    const {type} = message;
+    if(type === 'logout') {
+      try {
+        await this._logout(message);
+      } catch(error) {
+        this._emit({type: 'error', error, accountId: message.accountId});
+      }
+    } else if(type === 'lock') {
+      this._lock();
+    } else if(type !== 'login') {
+      return;
+    }
+    this._emit({...message, remote: true});
+  }
+
+  async _logout({accountId}) {
+    for(const masterKey of this._masterKeys) {
+      if(masterKey.accountId === accountId) {
+        this._masterKeys.delete(masterKey);
+        masterKey.lock();
+      }
+    }
+    // the cache may be per tab, such as with `sessionStorage`
+    try {
+      await AccountMasterKey.clearCache({accountId, cache: this.cache});
+    } catch(cause) {
+      const error = new Error(
+        `The cached seed for account "${accountId}" could not be cleared.`);
+      error.cause = cause;
+      throw error;
+    }
+  }
+
+  _lock() {
+    for(const masterKey of this._masterKeys) {
+      masterKey.lock();
+    }
+    this._masterKeys.clear();
+  }
+
+  _emit(event) {
+    for(const listener of this._listeners[event.type]) {
+      try {
+        listener(event);
+      } catch(error) {
+        if(event.type === 'error') {
+          // reporting it as another `error` event could loop forever
+          setTimeout(() => {
+            throw error;
+          });
+        } else {
+          this._emit({type: 'error', error, event});
+        }
+      }
+    }
+  }
+}
+
+function _createChannel({name, onMessage}) {
+  if(typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(name);
+    channel.onmessage = ({data}) => onMessage(data);
+    return {
+      post: message => channel.postMessage(message),
+      close: () => channel.close()
+    };
+  }
+  if(typeof window !== 'undefined' && _getLocalStorage()) {
+    // other tabs get a `storage` event when a value changes; a random ID
+    // ensures that repeated messages change the value
+    const listener = ({key, newValue}) => {
+      if(key === name && newValue) {
+        onMessage(JSON.parse(newValue).message);
+      }
+    };
+    window.addEventListener('storage', listener);
+    return {
+      post: message => _getLocalStorage().setItem(
+        name, JSON.stringify({id: uuid(), message})),
+      close: () => window.removeEventListener('storage', listener)
+    };
+  }
+  return {post: () => {}, close: () => {}};
+}
+
+function _getLocalStorage() {
+  try {
+    return typeof localStorage === 'undefined' ? null : localStorage;
+  } catch(e) {
+    // access may be denied, such as when cookies are blocked
+    return null;
+  }
+}
+
+function _assertEventType(type) {
+  if(!EVENT_TYPES.includes(type)) {
+    throw new TypeError(
+      `"type" must be one of ${EVENT_TYPES.join(', ')}.`);
+  }
+}
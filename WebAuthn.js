@@ -0,0 +1,57 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+export class WebAuthn {
+  /**
+   * Creates a new instance of a WebAuthn adapter. This adapter wraps a
+   * `CredentialsContainer` (`navigator.credentials` by default) so that
+   * a mock container can be supplied when running outside of a browser.
+   *
+   * @param {Object} [options] - The options to use.
+   * @param {Object} [options.credentials] - An API with `create` and `get`
+   *   functions matching `navigator.credentials`.
+   *
+   * @returns {WebAuthn} The new WebAuthn instance.
+   */
+  constructor({credentials} = {}) {
+    this.credentials = credentials;
+  }
+
+  /**
+   * Creates a new public key credential.
+   *
+   * @param {Object} options - The options to use.
+   * @param {Object} options.publicKey - The
+   *   `PublicKeyCredentialCreationOptions`.
+   *
+   * @returns {Promise<Object>} The new `PublicKeyCredential`.
+   */
+  async create({publicKey}) {
+    return this._getCredentials().create({publicKey});
+  }
+
+  /**
+   * Gets an assertion from an existing public key credential.
+   *
+   * @param {Object} options - The options to use.
+   * @param {Object} options.publicKey - The
+   *   `PublicKeyCredentialRequestOptions`.
+   *
+   * @returns {Promise<Object>} The asserted `PublicKeyCredential`.
+   */
+  async get({publicKey}) {
+    return this._getCredentials().get({publicKey});
+  }
+
+  _getCredentials() {
+    if(this.credentials) {
+      return this.credentials;
+    }
+    if(typeof navigator === 'undefined' || !navigator.credentials) {
+      throw new Error('WebAuthn is not supported in this environment.');
+    }
+    return navigator.credentials;
+  }
+}
@@ -0,0 +1,36 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+export class WebStorage {
+  /**
+   * Creates a storage backend on top of a Web Storage object such as
+   * `localStorage` or `sessionStorage`. Values are stored as JSON.
+   *
+   * @param {Object} options - The options to use.
+   * @param {Storage} options.storage - The Web Storage object to use.
+   *
+   * @returns {WebStorage} The new WebStorage instance.
+   */
+  constructor({storage}) {
+    if(!storage) {
+      throw new Error('Web Storage is not available.');
+    }
+    this.storage = storage;
+    this.persistent = true;
+  }
+
+  async get(key) {
+    const value = this.storage.getItem(key);
+    return value === null ? undefined : JSON.parse(value);
+  }
+
+  async set(key, value) {
+    this.storage.setItem(key, JSON.stringify(value));
+  }
+
+  async remove(key) {
+    this.storage.removeItem(key);
+  }
+}
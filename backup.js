@@ -0,0 +1,156 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+import base64url from 'base64url-universal';
+import * as base32 from './base32.js';
+import crypto from './crypto.js';
+import {createDerivation, deriveSeed} from './kdf.js';
+
+const BACKUP_TYPE = 'AccountMasterKeyBackup';
+const BACKUP_VERSION = 1;
+// the text form is the base32-encoded JSON bundle after this prefix; it
+// only uses characters that QR codes can encode in alphanumeric mode
+const TEXT_PREFIX = 'KMSBACKUP1:';
+const KDF_DOMAIN = 'bedrock-web-kms-backup';
+
+/**
+ * Creates a password-encrypted backup bundle for a master key. Only the
+ * account ID and the parameters used to derive the encryption key from the
+ * password are readable without the password.
+ *
+ * @param {Object} options - The options to use.
+ * @param {string} options.accountId - The ID of the account.
+ * @param {Uint8Array} options.seed - The master key's seed.
+ * @param {string|Uint8Array} options.password - The password to encrypt the
+ *   backup with.
+ * @param {string} [options.version=recommended] - `fips` to derive the
+ *   encryption key with PBKDF2, `recommended` to use scrypt.
+ * @param {Object} [options.data] - Other information to encrypt with the
+ *   seed, such as the KMS plugin.
+ *
+ * @returns {Promise<Object>} The backup bundle.
+ */
+export async function createBackup({
+  accountId, seed, password, version = 'recommended', data = {}
+}) {
+  const kdf = createDerivation({version});
+  const key = await _deriveKey({accountId, password, kdf});
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const plaintext = new TextEncoder().encode(
+    JSON.stringify({...data, seed: base64url.encode(seed)}));
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+    {name: 'AES-GCM', iv, additionalData: _getAdditionalData(accountId)},
+    key, plaintext));
+  return {
+    type: BACKUP_TYPE,
+    version: BACKUP_VERSION,
+    accountId,
+    kdf,
+    iv: base64url.encode(iv),
+    ciphertext: base64url.encode(ciphertext)
+  };
+}
+
+/**
+ * Decrypts a backup bundle created via `createBackup`.
+ *
+ * @param {Object} options - The options to use.
+ * @param {Object|string} options.bundle - The backup bundle as an object,
+ *   a JSON string or text created via `toText`.
+ * @param {string|Uint8Array} options.password - The password the backup was
+ *   encrypted with.
+ *
+ * @returns {Promise<Object>} The backup's `accountId`, its `seed` and any
+ *   other information that was encrypted with it.
+ */
+export async function openBackup({bundle, password}) {
+  bundle = parseBackup(bundle);
+  const {accountId, kdf} = bundle;
+  const key = await _deriveKey({accountId, password, kdf});
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt({
+      name: 'AES-GCM',
+      iv: base64url.decode(bundle.iv),
+      additionalData: _getAdditionalData(accountId)
+    }, key, base64url.decode(bundle.ciphertext));
+  } catch(e) {
+    throw new Error(
+      'Could not decrypt the backup; the password may be incorrect.');
+  }
+  const {seed, ...data} = JSON.parse(new TextDecoder().decode(plaintext));
+  return {...data, accountId, seed: base64url.decode(seed)};
+}
+
+/**
+ * Encodes a backup bundle as text that is suitable for QR codes.
+ *
+ * @param {Object} bundle - The backup bundle.
+ *
+ * @returns {string} The backup as text.
+ */
+export function toText(bundle) {
+  return TEXT_PREFIX +
+    base32.encode(new TextEncoder().encode(JSON.stringify(bundle)));
+}
+
+/**
+ * Parses and validates a backup bundle.
+ *
+ * @param {Object|string} bundle - The backup bundle as an object, a JSON
+ *   string or text created via `toText`.
+ *
+ * @returns {Object} The backup bundle.
+ */
+export function parseBackup(bundle) {
+  if(typeof bundle === 'string') {
+    const text = bundle.trim();
+    try {
+      if(text.toUpperCase().startsWith(TEXT_PREFIX)) {
+        bundle = new TextDecoder().decode(
+          base32.decode(text.substr(TEXT_PREFIX.length)));
+      }
+      bundle = JSON.parse(bundle);
+    } catch(e) {
+      throw new Error('"bundle" is not a valid backup.');
+    }
+  }
+  if(!(bundle && typeof bundle === 'object' && bundle.type === BACKUP_TYPE)) {
+    throw new Error('"bundle" is not a valid backup.');
+  }
+  if(bundle.version !== BACKUP_VERSION) {
+    throw new Error(`Unsupported backup version "${bundle.version}".`);
+  }
+  const {accountId, kdf, iv, ciphertext} = bundle;
+  if(!(typeof accountId === 'string' && kdf && typeof kdf === 'object' &&
+    typeof iv === 'string' && typeof ciphertext === 'string')) {
+    throw new Error('"bundle" is not a valid backup.');
+  }
+  return bundle;
+}
+
+async function _deriveKey({accountId, password, kdf}) {
+  if(typeof password === 'string') {
+    password = new TextEncoder().encode(password);
+  }
+  if(!(password instanceof Uint8Array && password.length > 0)) {
+    throw new TypeError(
+      '"password" must be a non-empty string or Uint8Array.');
+  }
+  if(kdf.version !== 1) {
+    // never derive the key with the unsalted legacy derivation
+    throw new Error('Unsupported backup key derivation.');
+  }
+  const secret = await deriveSeed(
+    {secret: password, accountId, derivation: kdf, domain: KDF_DOMAIN});
+  return crypto.subtle.importKey(
+    'raw', secret, {name: 'AES-GCM'}, false, ['encrypt', 'decrypt']);
+}
+
+function _getAdditionalData(accountId) {
+  // binds the ciphertext to the readable parts of the bundle
+  return new TextEncoder().encode(
+    `${BACKUP_TYPE}:${BACKUP_VERSION}:${accountId}`);
+}
@@ -0,0 +1,74 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+// Crockford's base32 alphabet; it omits easily confused letters and only
+// uses characters that QR codes can encode in alphanumeric mode
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+/**
+ * Encodes bytes as Crockford base32 without padding.
+ *
+ * @param {Uint8Array} bytes - The bytes to encode.
+ *
+ * @returns {string} The encoded bytes.
+ */
+export function encode(bytes) {
+  let bits = 0;
+  let value = 0;
+  let text = '';
+  for(const byte of bytes) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while(bits >= 5) {
+      text += ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if(bits > 0) {
+    text += ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return text;
+}
+
+/**
+ * Decodes Crockford base32 text. Lowercase letters and the commonly
+ * confused letters `O`, `I` and `L` are accepted and hyphens are ignored.
+ *
+ * @param {string} text - The text to decode.
+ *
+ * @returns {Uint8Array} The decoded bytes.
+ */
+export function decode(text) {
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+  for(const char of normalize(text).replace(/-/g, '')) {
+    const index = ALPHABET.indexOf(char);
+    if(index === -1) {
+      throw new Error(`Invalid base32 character "${char}".`);
+    }
+    value = ((value << 5) | index) & 0xffff;
+    bits += 5;
+    if(bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Normalizes Crockford base32 text by converting it to uppercase and
+ * replacing commonly confused letters.
+ *
+ * @param {string} text - The text to normalize.
+ *
+ * @returns {string} The normalized text.
+ */
+export function normalize(text) {
+  return text.toUpperCase()
+    .replace(/O/g, '0')
+    .replace(/[IL]/g, '1');
+}
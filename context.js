@@ -0,0 +1,63 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+import jsigs from 'jsonld-signatures';
+
+const {extendContextLoader} = jsigs;
+
+/**
+ * The URL of the JSON-LD context for KMS operations. Operations that use a
+ * term the security v2 context does not define use it after that context; a
+ * KMS service must resolve it to `KMS_CONTEXT` to verify their proofs.
+ */
+export const KMS_CONTEXT_URL = 'urn:bedrock-web-kms:context:v1';
+
+// every property of a signed operation must be defined by a context or
+// jsonld-signatures refuses to sign it; every type must be defined or it is
+// not included in what is signed
+export const KMS_CONTEXT = {
+  '@context': {
+    '@version': 1.1,
+    id: '@id',
+    type: '@type',
+    sec: 'https://w3id.org/security#',
+    BatchOperation: 'sec:BatchOperation',
+    DisableKeyOperation: 'sec:DisableKeyOperation',
+    EcdhSecp256r1KeyAgreementKey2019: 'sec:EcdhSecp256r1KeyAgreementKey2019',
+    EnableKeyOperation: 'sec:EnableKeyOperation',
+    GetKeyDescriptionOperation: 'sec:GetKeyDescriptionOperation',
+    ListKeysOperation: 'sec:ListKeysOperation',
+    RewrapKeyOperation: 'sec:RewrapKeyOperation',
+    Sha384HmacKey2019: 'sec:Sha384HmacKey2019',
+    Sha512HmacKey2019: 'sec:Sha512HmacKey2019',
+    UpdateKeyControllerOperation: 'sec:UpdateKeyControllerOperation',
+    destinationKey: {'@id': 'sec:destinationKey', '@type': '@id'},
+    filter: {'@id': 'sec:filter', '@type': '@json'},
+    // the order of the operations is the order of their results
+    operations: {'@id': 'sec:operations', '@container': '@list'},
+    previousKey: {'@id': 'sec:previousKey', '@type': '@id'},
+    reason: 'sec:reason',
+    rotated: {
+      '@id': 'sec:rotated',
+      '@type': 'http://www.w3.org/2001/XMLSchema#dateTime'
+    },
+    threshold: 'sec:threshold'
+  }
+};
+
+/**
+ * A JSON-LD document loader that only loads the contexts built into
+ * jsonld-signatures and the KMS context; it never uses the network.
+ *
+ * @param {string} url - The URL of the document.
+ *
+ * @returns {Promise<Object>} The remote document.
+ */
+export const documentLoader = extendContextLoader(async url => {
+  if(url === KMS_CONTEXT_URL) {
+    return {contextUrl: null, documentUrl: url, document: KMS_CONTEXT};
+  }
+  throw new Error(`Document "${url}" not found.`);
+});
@@ -0,0 +1,10 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+import crypto from 'crypto';
+
+// Node.js provides the Web Cryptography API as `crypto.webcrypto`; browsers
+// use `crypto-browser.js` instead
+export default crypto.webcrypto;
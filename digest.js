@@ -0,0 +1,160 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+import crypto from './crypto.js';
+import hash from 'hash.js';
+
+// the supported digest algorithms and their incremental implementations;
+// WebCrypto cannot hash data incrementally
+const DIGEST_ALGORITHMS = {
+  'SHA-256': {create: () => hash.sha256(), size: 32},
+  'SHA-384': {create: () => hash.sha384(), size: 48},
+  'SHA-512': {create: () => hash.sha512(), size: 64}
+};
+
+// the number of bytes read from a `Blob` at a time
+const BLOB_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Computes the digest of some data.
+ *
+ * @param {Object} options - The options to use.
+ * @param {Uint8Array} options.data - The data to hash.
+ * @param {string} options.digestAlgorithm - The digest algorithm: `SHA-256`,
+ *   `SHA-384` or `SHA-512`.
+ *
+ * @returns {Promise<Uint8Array>} The digest.
+ */
+export async function createDigest({data, digestAlgorithm}) {
+  assertDigestAlgorithm(digestAlgorithm);
+  return new Uint8Array(await crypto.subtle.digest(digestAlgorithm, data));
+}
+
+/**
+ * Gets the bytes to sign or verify for some data: the data itself or, if
+ * `digestAlgorithm` is given, its digest. A digest that was already computed
+ * may be given instead of the data.
+ *
+ * @param {Object} options - The options to use.
+ * @param {Uint8Array} [options.data] - The data.
+ * @param {Uint8Array} [options.digest] - The digest of the data.
+ * @param {string} [options.digestAlgorithm] - The digest algorithm; it is
+ *   required with `digest`.
+ *
+ * @returns {Promise<Uint8Array>} The bytes to sign or verify.
+ */
+export async function prehash({data, digest, digestAlgorithm}) {
+  if(digest !== undefined) {
+    if(data !== undefined) {
+      throw new TypeError('Only one of "data" or "digest" may be given.');
+    }
+    assertDigest({digest, digestAlgorithm});
+    return digest;
+  }
+  if(!(data instanceof Uint8Array)) {
+    throw new TypeError('"data" must be a Uint8Array.');
+  }
+  if(digestAlgorithm === undefined) {
+    return data;
+  }
+  return createDigest({data, digestAlgorithm});
+}
+
+/**
+ * Computes the digest of a stream of data incrementally, so that the data
+ * never needs to be held in memory all at once.
+ *
+ * @param {Object} options - The options to use.
+ * @param {ReadableStream|Blob|Object} options.stream - The data to
+ *   hash; a `ReadableStream` or async iterable must produce `Uint8Array`s,
+ *   `ArrayBuffer`s or strings, which are UTF-8 encoded.
+ * @param {string} options.digestAlgorithm - The digest algorithm: `SHA-256`,
+ *   `SHA-384` or `SHA-512`.
+ *
+ * @returns {Promise<Uint8Array>} The digest.
+ */
+export async function digestStream({stream, digestAlgorithm}) {
+  assertDigestAlgorithm(digestAlgorithm);
+  const md = DIGEST_ALGORITHMS[digestAlgorithm].create();
+  for await (const chunk of _readChunks(stream)) {
+    md.update(_toUint8Array(chunk));
+  }
+  return new Uint8Array(md.digest());
+}
+
+/**
+ * Throws if a digest algorithm is not supported.
+ *
+ * @param {string} digestAlgorithm - The digest algorithm.
+ *
+ * @returns {undefined}
+ */
+export function assertDigestAlgorithm(digestAlgorithm) {
+  if(!DIGEST_ALGORITHMS[digestAlgorithm]) {
+    throw new Error(`Unsupported digest algorithm "${digestAlgorithm}".`);
+  }
+}
+
+/**
+ * Throws if a digest does not have the size produced by its algorithm.
+ *
+ * @param {Object} options - The options to use.
+ * @param {Uint8Array} options.digest - The digest.
+ * @param {string} options.digestAlgorithm - The digest algorithm.
+ *
+ * @returns {undefined}
+ */
+export function assertDigest({digest, digestAlgorithm}) {
+  assertDigestAlgorithm(digestAlgorithm);
+  if(!(digest instanceof Uint8Array &&
+    digest.length === DIGEST_ALGORITHMS[digestAlgorithm].size)) {
+    throw new TypeError(
+      `"digest" must be a ${digestAlgorithm} digest as a Uint8Array.`);
+  }
+}
+
+async function* _readChunks(stream) {
+  if(typeof Blob !== 'undefined' && stream instanceof Blob) {
+    for(let offset = 0; offset < stream.size; offset += BLOB_CHUNK_SIZE) {
+      const slice = stream.slice(offset, offset + BLOB_CHUNK_SIZE);
+      yield new Uint8Array(await slice.arrayBuffer());
+    }
+    return;
+  }
+  if(stream && typeof stream.getReader === 'function') {
+    const reader = stream.getReader();
+    try {
+      while(true) {
+        const {done, value} = await reader.read();
+        if(done) {
+          return;
+        }
+        yield value;
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  }
+  if(stream && typeof stream[Symbol.asyncIterator] === 'function') {
+    yield* stream;
+    return;
+  }
+  throw new TypeError(
+    '"stream" must be a ReadableStream, a Blob or an async iterable.');
+}
+
+function _toUint8Array(chunk) {
+  if(typeof chunk === 'string') {
+    return new TextEncoder().encode(chunk);
+  }
+  if(chunk instanceof ArrayBuffer) {
+    return new Uint8Array(chunk);
+  }
+  if(ArrayBuffer.isView(chunk)) {
+    return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+  }
+  throw new TypeError(
+    'Stream chunks must be Uint8Arrays, ArrayBuffers or strings.');
+}
@@ -0,0 +1,65 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+export class KmsError extends Error {
+  /**
+   * Creates a new error for a failed KMS operation.
+   *
+   * @param {Object} options - The options to use.
+   * @param {string} options.message - The error message.
+   * @param {string} [options.operationType] - The type of the operation
+   *   that failed, such as `UnwrapKeyOperation`.
+   * @param {string} [options.keyId] - The ID of the key the operation was
+   *   performed on.
+   * @param {number} [options.status] - The HTTP status code, if any.
+   * @param {Object} [options.details] - The error details sent by the server,
+   *   if any.
+   * @param {Error} [options.cause] - The underlying error.
+   *
+   * @returns {KmsError} The new KmsError instance.
+   */
+  constructor({message, operationType, keyId, status, details, cause}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.operationType = operationType;
+    this.keyId = keyId;
+    this.status = status;
+    this.details = details;
+    this.cause = cause;
+  }
+}
+
+// the requested key does not exist
+export class KmsNotFoundError extends KmsError {}
+
+// the signer is not authorized to perform the operation
+export class KmsPermissionError extends KmsError {}
+
+// too few of the key's controllers authorized the operation; `threshold` is
+// the number of controllers that must sign each operation on the key
+export class KmsThresholdError extends KmsPermissionError {
+  constructor(options) {
+    super(options);
+    this.threshold = options.threshold;
+  }
+}
+
+// the server rejected the operation, such as for invalid input
+export class KmsOperationError extends KmsError {}
+
+// the operation is not allowed in the key's lifecycle state, such as using a
+// disabled or revoked key; `keyState` is the key's state
+export class KmsKeyStateError extends KmsOperationError {
+  constructor(options) {
+    super(options);
+    this.keyState = options.keyState;
+  }
+}
+
+// the server failed to perform the operation
+export class KmsServerError extends KmsError {}
+
+// the server could not be reached or did not respond in time
+export class KmsNetworkError extends KmsError {}
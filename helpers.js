@@ -0,0 +1,91 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+// WebCrypto parameters for the key types that are generated using WebCrypto
+export const KEY_TYPES = {
+  AesKeyWrappingKey2019: {
+    algorithm: {name: 'AES-KW', length: 256},
+    usages: ['wrapKey', 'unwrapKey']
+  },
+  Sha256HmacKey2019: {
+    algorithm: {name: 'HMAC', hash: {name: 'SHA-256'}},
+    usages: ['sign', 'verify']
+  },
+  Sha384HmacKey2019: {
+    algorithm: {name: 'HMAC', hash: {name: 'SHA-384'}},
+    usages: ['sign', 'verify']
+  },
+  Sha512HmacKey2019: {
+    algorithm: {name: 'HMAC', hash: {name: 'SHA-512'}},
+    usages: ['sign', 'verify']
+  }
+};
+
+export function toArray(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+export function getPublicKey(description) {
+  // only the key's `id`, `type` and public key material (such as
+  // `publicKeyBase58`), not its controllers or other metadata
+  const publicKey = {id: description.id, type: description.type};
+  for(const property of Object.keys(description)) {
+    if(property.startsWith('publicKey')) {
+      publicKey[property] = description[property];
+    }
+  }
+  return publicKey;
+}
+
+export function getSignerId(signer) {
+  // a single signer's ID, or the IDs of several signers
+  if(!Array.isArray(signer)) {
+    return signer && signer.id;
+  }
+  const ids = signer.map(s => s && s.id);
+  return ids.length === 1 ? ids[0] : ids;
+}
+
+export function assertSigner(signer) {
+  const signers = toArray(signer);
+  if(signers.length === 0 ||
+    !signers.every(s => s && typeof s === 'object')) {
+    throw new TypeError(
+      '"signer" must be an object or a non-empty array of objects.');
+  }
+  const ids = signers.map(s => s.id);
+  if(new Set(ids).size !== ids.length) {
+    throw new Error('Each signer must have a different "id".');
+  }
+}
+
+export function assertThreshold({threshold, controller}) {
+  if(!(Number.isInteger(threshold) && threshold > 0 &&
+    threshold <= toArray(controller).length)) {
+    throw new TypeError(
+      '"threshold" must be an integer from 1 to the number of controllers.');
+  }
+}
+
+export function assertController(controller) {
+  const controllers = toArray(controller);
+  if(controllers.length === 0 ||
+    !controllers.every(c => typeof c === 'string')) {
+    throw new TypeError(
+      '"controller" must be a string or a non-empty array of strings.');
+  }
+}
+
+export function assert(variable, name, types) {
+  if(!Array.isArray(types)) {
+    types = [types];
+  }
+  const type = variable instanceof Uint8Array ? 'Uint8Array' : typeof variable;
+  if(!types.includes(type)) {
+    throw new TypeError(
+      `"${name}" must be ${types.length > 1 ? 'one of' : 'a'} ` +
+      `${types.join(', ')}.`);
+  }
+}
@@ -0,0 +1,99 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+import base64url from 'base64url-universal';
+import crypto from './crypto.js';
+
+// the headers that are signed, in order
+const SIGNED_HEADERS = [
+  '(request-target)', '(created)', '(expires)', 'host',
+  'capability-invocation', 'digest'
+];
+
+// how long, in seconds, a signature is valid for; it covers any retries of
+// the request, after which a captured request cannot be replayed
+const SIGNATURE_LIFETIME = 300;
+
+/**
+ * Creates the headers that authorize a request by invoking an authorization
+ * capability with an HTTP Signature (draft-cavage-http-signatures). The
+ * `host` header is signed but not returned because web browsers set it
+ * themselves; it must match the host of `url`. The signature expires
+ * shortly after it is created.
+ *
+ * @param {Object} options - The options to use.
+ * @param {string} options.url - The absolute URL of the request.
+ * @param {string} [options.method=post] - The HTTP method of the request.
+ * @param {string} options.body - The body of the request.
+ * @param {Object} options.signer - An API with an `id` property and a
+ *   `sign` function.
+ * @param {string|Object} options.capability - The capability to invoke; a
+ *   delegated capability must be given as an object.
+ * @param {string} [options.capabilityAction] - The action to invoke.
+ *
+ * @returns {Promise<Object>} The `authorization`, `capability-invocation`
+ *   and `digest` headers.
+ */
+export async function createSignatureHeaders({
+  url, method = 'post', body, signer, capability, capabilityAction
+}) {
+  const {host, pathname, search} = new URL(url);
+  const created = Math.floor(Date.now() / 1000);
+  const expires = created + SIGNATURE_LIFETIME;
+  const headers = {
+    'capability-invocation': _createInvocationHeader(
+      {capability, capabilityAction}),
+    digest: await _createDigestHeader({body})
+  };
+  const data = new TextEncoder().encode(_createSigningString({
+    headers: {
+      ...headers,
+      '(request-target)': `${method.toLowerCase()} ${pathname}${search}`,
+      '(created)': created,
+      '(expires)': expires,
+      host
+    },
+    signed: SIGNED_HEADERS
+  }));
+  const signature = _toBase64(await signer.sign({data}));
+  headers.authorization = `Signature keyId="${signer.id}",` +
+    `created=${created},expires=${expires},` +
+    `headers="${SIGNED_HEADERS.join(' ')}",signature="${signature}"`;
+  return headers;
+}
+
+async function _createDigestHeader({body}) {
+  // RFC 3230 instance digest
+  const digest = new Uint8Array(await crypto.subtle.digest(
+    'SHA-256', new TextEncoder().encode(body)));
+  return `SHA-256=${_toBase64(digest)}`;
+}
+
+function _createSigningString({headers, signed}) {
+  // one line per signed header with its lowercase name and value
+  return signed.map(name => {
+    if(headers[name] === undefined) {
+      throw new Error(`Header "${name}" is missing.`);
+    }
+    return `${name}: ${headers[name]}`;
+  }).join('\n');
+}
+
+function _createInvocationHeader({capability, capabilityAction}) {
+  // a root capability is identified by its ID; a delegated capability is
+  // sent in full so that its chain can be verified
+  let value = typeof capability === 'string' ?
+    `zcap id="${capability}"` :
+    `zcap capability="${base64url.encode(JSON.stringify(capability))}"`;
+  if(capabilityAction) {
+    value += `,action="${capabilityAction}"`;
+  }
+  return value;
+}
+
+function _toBase64(bytes) {
+  const encoded = base64url.encode(bytes).replace(/-/g, '+').replace(/_/g, '/');
+  return encoded + '='.repeat((4 - encoded.length % 4) % 4);
+}
@@ -4,6 +4,29 @@
 'use strict';
 
 export {AccountMasterKey} from './AccountMasterKey.js';
+export {AsymmetricKey} from './AsymmetricKey.js';
+export {AuditLog} from './AuditLog.js';
 export {Hmac} from './Hmac.js';
+export {IndexedDbStorage} from './IndexedDbStorage.js';
 export {Kek} from './Kek.js';
+export {KeyAgreementKey} from './KeyAgreementKey.js';
 export {KmsService} from './KmsService.js';
+export {LocalKmsService} from './LocalKmsService.js';
+export {MemoryStorage} from './MemoryStorage.js';
+export {SeedCache} from './SeedCache.js';
+export {Session} from './Session.js';
+export {WebAuthn} from './WebAuthn.js';
+export {WebStorage} from './WebStorage.js';
+export {KMS_CONTEXT, KMS_CONTEXT_URL} from './context.js';
+export {decrypt, encrypt} from './jwe.js';
+export {rewrap, rewrapAll} from './rewrap.js';
+export {
+  KmsError,
+  KmsKeyStateError,
+  KmsNetworkError,
+  KmsNotFoundError,
+  KmsOperationError,
+  KmsPermissionError,
+  KmsServerError,
+  KmsThresholdError
+} from './errors.js';
@@ -0,0 +1,77 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const DB_NAME = 'bedrock-web-kms';
+const DB_VERSION = 4;
+// every object store used by this module; add new stores here and bump
+// `DB_VERSION` so that existing databases are upgraded
+const STORE_NAMES = ['audit-log', 'keys', 'local-kms-keys', 'seed-cache'];
+
+/**
+ * Returns `true` if IndexedDB is available in this environment.
+ *
+ * @returns {boolean} `true` if available, `false` if not.
+ */
+export function isAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Opens this module's IndexedDB database, creating any missing object
+ * stores.
+ *
+ * @returns {Promise<IDBDatabase>} The database; it must be closed by the
+ *   caller when done.
+ */
+export async function openDatabase() {
+  if(!isAvailable()) {
+    throw new Error('IndexedDB is not available.');
+  }
+  const req = indexedDB.open(DB_NAME, DB_VERSION);
+  req.onupgradeneeded = () => {
+    const db = req.result;
+    for(const name of STORE_NAMES) {
+      if(!db.objectStoreNames.contains(name)) {
+        db.createObjectStore(name);
+      }
+    }
+  };
+  return request(req);
+}
+
+/**
+ * Runs a single operation against an object store.
+ *
+ * @param {Object} options - The options to use.
+ * @param {string} options.storeName - The name of the object store.
+ * @param {string} [options.mode=readonly] - The transaction mode.
+ * @param {Function} options.fn - A function that is given the object store
+ *   and returns an `IDBRequest`.
+ *
+ * @returns {Promise<*>} Resolves to the result of the request.
+ */
+export async function withStore({storeName, mode = 'readonly', fn}) {
+  const db = await openDatabase();
+  try {
+    return await request(
+      fn(db.transaction(storeName, mode).objectStore(storeName)));
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Converts an `IDBRequest` into a promise.
+ *
+ * @param {IDBRequest} req - The request.
+ *
+ * @returns {Promise<*>} Resolves to the result of the request.
+ */
+export function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
@@ -0,0 +1,126 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+import base64url from 'base64url-universal';
+import crypto from './crypto.js';
+
+const KEY_ALGORITHM = 'A256KW';
+const CONTENT_ALGORITHM = 'A256GCM';
+const TAG_LENGTH = 16;
+
+/**
+ * Encrypts some data as a JWE (JSON serialization) using envelope
+ * encryption. A random content encryption key (CEK) is generated to encrypt
+ * the data using A256GCM and it is then wrapped with each KEK using the KMS
+ * service, so the KEKs never leave the KMS.
+ *
+ * @param {Object} options - The options to use.
+ * @param {Uint8Array} options.data - The data to encrypt.
+ * @param {Object} [options.kek] - The Kek instance to wrap the CEK with.
+ * @param {Array<Object>} [options.keks] - The Kek instances to wrap the CEK
+ *   with, one for each recipient; defaults to `[kek]`.
+ *
+ * @returns {Promise<Object>} The JWE.
+ */
+export async function encrypt({data, kek, keks = kek ? [kek] : []}) {
+  if(!(data instanceof Uint8Array)) {
+    throw new TypeError('"data" must be a Uint8Array.');
+  }
+  if(!Array.isArray(keks) || keks.length === 0) {
+    throw new TypeError('"kek" or "keks" must be given.');
+  }
+  keks.forEach(_assertKek);
+
+  // generate CEK and wrap it for every recipient
+  const cek = crypto.getRandomValues(new Uint8Array(32));
+  const recipients = await Promise.all(keks.map(async kek => ({
+    header: {alg: KEY_ALGORITHM, kid: kek.id},
+    encrypted_key: await kek.wrap({key: cek})
+  })));
+
+  // encrypt data using the encoded protected header as additional data
+  const encodedProtected = base64url.encode(
+    JSON.stringify({enc: CONTENT_ALGORITHM}));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await _importCek(cek);
+  const result = new Uint8Array(await crypto.subtle.encrypt({
+    name: 'AES-GCM',
+    iv,
+    additionalData: new TextEncoder().encode(encodedProtected),
+    tagLength: TAG_LENGTH * 8
+  }, key, data));
+
+  // WebCrypto appends the tag to the ciphertext
+  const ciphertext = result.subarray(0, result.length - TAG_LENGTH);
+  const tag = result.subarray(result.length - TAG_LENGTH);
+
+  return {
+    protected: encodedProtected,
+    recipients,
+    iv: base64url.encode(iv),
+    ciphertext: base64url.encode(ciphertext),
+    tag: base64url.encode(tag)
+  };
+}
+
+/**
+ * Decrypts a JWE that was created via `encrypt`.
+ *
+ * @param {Object} options - The options to use.
+ * @param {Object} options.jwe - The JWE to decrypt.
+ * @param {Object} options.kek - The Kek instance of one of the JWE's
+ *   recipients.
+ *
+ * @returns {Promise<Uint8Array>} The decrypted data.
+ */
+export async function decrypt({jwe, kek}) {
+  if(!(jwe && typeof jwe === 'object')) {
+    throw new TypeError('"jwe" must be an object.');
+  }
+  _assertKek(kek);
+
+  const header = JSON.parse(
+    new TextDecoder().decode(base64url.decode(jwe.protected)));
+  if(header.enc !== CONTENT_ALGORITHM) {
+    throw new Error(`Unsupported JWE encryption "${header.enc}".`);
+  }
+
+  const recipient = (jwe.recipients || []).find(
+    r => r.header && r.header.kid === kek.id &&
+      r.header.alg === KEY_ALGORITHM);
+  if(!recipient) {
+    throw new Error(`JWE has no recipient for KEK "${kek.id}".`);
+  }
+
+  const cek = await kek.unwrap({wrappedKey: recipient.encrypted_key});
+  const key = await _importCek(cek);
+
+  const ciphertext = base64url.decode(jwe.ciphertext);
+  const tag = base64url.decode(jwe.tag);
+  const data = new Uint8Array(ciphertext.length + tag.length);
+  data.set(ciphertext);
+  data.set(tag, ciphertext.length);
+
+  return new Uint8Array(await crypto.subtle.decrypt({
+    name: 'AES-GCM',
+    iv: base64url.decode(jwe.iv),
+    additionalData: new TextEncoder().encode(jwe.protected),
+    tagLength: TAG_LENGTH * 8
+  }, key, data));
+}
+
+function _assertKek(kek) {
+  if(!(kek && typeof kek === 'object')) {
+    throw new TypeError('"kek" must be a Kek.');
+  }
+  if(kek.algorithm !== KEY_ALGORITHM) {
+    throw new Error(`Unsupported KEK algorithm "${kek.algorithm}".`);
+  }
+}
+
+async function _importCek(cek) {
+  return crypto.subtle.importKey(
+    'raw', cek, {name: 'AES-GCM'}, false, ['encrypt', 'decrypt']);
+}
@@ -0,0 +1,143 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+import base64url from 'base64url-universal';
+import crypto from './crypto.js';
+import scryptJs from 'scrypt-js';
+
+// the original derivation: a single SHA-256 hash over the prefixed secret;
+// it is used when no derivation descriptor is given
+const LEGACY_DERIVATION = {version: 0, kdf: 'sha256'};
+
+// default parameters for new derivation descriptors
+const DEFAULTS = {
+  fips: {kdf: 'pbkdf2', hash: 'SHA-256', iterations: 310000},
+  recommended: {kdf: 'scrypt', N: 32768, r: 8, p: 1}
+};
+
+// parameters accepted in derivation descriptors; the maximums keep a
+// descriptor from an untrusted source from exhausting time or memory
+const PBKDF2_MIN_ITERATIONS = 100000;
+const PBKDF2_MAX_ITERATIONS = 10000000;
+const SCRYPT_MIN_N = 16384;
+const SCRYPT_MAX_N = 1048576;
+const SCRYPT_MAX_R = 32;
+const SCRYPT_MAX_P = 16;
+// scrypt needs `128 * N * r` bytes of memory
+const SCRYPT_MAX_MEMORY = 256 * 1024 * 1024;
+
+/**
+ * Creates a new derivation descriptor. The descriptor specifies how a seed
+ * is derived from a secret and includes a random salt; it is not secret
+ * but it must be stored with the account so that the same seed can be
+ * derived again.
+ *
+ * @param {Object} [options] - The options to use.
+ * @param {string} [options.version=recommended] - `fips` to use PBKDF2,
+ *   `recommended` to use scrypt.
+ *
+ * @returns {Object} The derivation descriptor.
+ */
+export function createDerivation({version = 'recommended'} = {}) {
+  const defaults = DEFAULTS[version];
+  if(!defaults) {
+    throw new Error(`Unsupported version "${version}"`);
+  }
+  const salt = base64url.encode(crypto.getRandomValues(new Uint8Array(16)));
+  return {version: 1, ...defaults, salt};
+}
+
+/**
+ * Derives a 32-byte seed from a secret.
+ *
+ * @param {Object} options - The options to use.
+ * @param {Uint8Array} options.secret - The secret.
+ * @param {string} options.accountId - The ID of the account the seed is for.
+ * @param {Object} [options.derivation] - The derivation descriptor; defaults
+ *   to the original SHA-256 derivation.
+ * @param {string} [options.domain=bedrock-web-kms] - A prefix that separates
+ *   seeds derived for different purposes.
+ *
+ * @returns {Promise<Uint8Array>} The seed.
+ */
+export async function deriveSeed({
+  secret, accountId, derivation = LEGACY_DERIVATION,
+  domain = 'bedrock-web-kms'
+}) {
+  // prefix secret to bind the seed to the account
+  const prefix = new TextEncoder().encode(`${domain}:${accountId}:`);
+  const data = new Uint8Array(prefix.length + secret.length);
+  data.set(prefix);
+  data.set(secret, prefix.length);
+
+  const {version, kdf} = derivation;
+  if(version === 0 && kdf === 'sha256') {
+    return new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+  }
+  if(version !== 1) {
+    throw new Error(`Unsupported derivation version "${version}".`);
+  }
+  if(kdf === 'pbkdf2') {
+    return _pbkdf2({data, derivation});
+  }
+  if(kdf === 'scrypt') {
+    return _scrypt({data, derivation});
+  }
+  throw new Error(`Unsupported derivation function "${kdf}".`);
+}
+
+async function _pbkdf2({data, derivation}) {
+  const {hash, iterations, salt} = derivation;
+  if(hash !== 'SHA-256') {
+    throw new Error(`Unsupported PBKDF2 hash "${hash}".`);
+  }
+  _assertInteger({
+    value: iterations, name: 'PBKDF2 "iterations"',
+    min: PBKDF2_MIN_ITERATIONS, max: PBKDF2_MAX_ITERATIONS
+  });
+  const key = await crypto.subtle.importKey(
+    'raw', data, {name: 'PBKDF2'}, false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({
+    name: 'PBKDF2',
+    hash,
+    iterations,
+    salt: _decodeSalt(salt)
+  }, key, 256);
+  return new Uint8Array(bits);
+}
+
+async function _scrypt({data, derivation}) {
+  const {N, r, p, salt} = derivation;
+  _assertInteger(
+    {value: N, name: 'scrypt "N"', min: SCRYPT_MIN_N, max: SCRYPT_MAX_N});
+  if((N & (N - 1)) !== 0) {
+    throw new Error('scrypt "N" must be a power of two.');
+  }
+  _assertInteger({value: r, name: 'scrypt "r"', min: 1, max: SCRYPT_MAX_R});
+  _assertInteger({value: p, name: 'scrypt "p"', min: 1, max: SCRYPT_MAX_P});
+  if(128 * N * r > SCRYPT_MAX_MEMORY) {
+    throw new Error(
+      `scrypt "N" and "r" must not need more than ${SCRYPT_MAX_MEMORY} ` +
+      'bytes of memory.');
+  }
+  return scryptJs.scrypt(data, _decodeSalt(salt), N, r, p, 32);
+}
+
+function _assertInteger({value, name, min, max}) {
+  if(!(Number.isInteger(value) && value >= min && value <= max)) {
+    throw new Error(`${name} must be an integer from ${min} to ${max}.`);
+  }
+}
+
+function _decodeSalt(salt) {
+  if(typeof salt !== 'string') {
+    throw new TypeError('Derivation "salt" must be a string.');
+  }
+  const decoded = base64url.decode(salt);
+  if(decoded.length < 16) {
+    throw new Error('Derivation "salt" must be at least 16 bytes.');
+  }
+  return decoded;
+}
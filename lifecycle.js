@@ -0,0 +1,36 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+// the `KmsService` method that performs each lifecycle change and the state
+// the key is in afterwards
+const CHANGES = {
+  disable: {method: 'disableKey', state: 'disabled'},
+  enable: {method: 'enableKey', state: 'enabled'},
+  revoke: {method: 'revokeKey', state: 'revoked'},
+  delete: {method: 'deleteKey', state: 'deleted'}
+};
+
+/**
+ * Changes the lifecycle state of a key via its KMS service and updates the
+ * key API's `state` once the KMS service has done so.
+ *
+ * @param {Object} options - The options to use.
+ * @param {Object} options.key - The key API, such as a `Kek` or `Hmac`.
+ * @param {string} options.change - The change to make: `disable`, `enable`,
+ *   `revoke` or `delete`.
+ * @param {string} [options.reason] - Why the key is being revoked.
+ *
+ * @returns {Promise<undefined>} On completion.
+ */
+export async function changeState({key, change, reason}) {
+  const {method, state} = CHANGES[change];
+  const {id: keyId, kmsService, signer, capability} = key;
+  const options = {keyId, signer, capability};
+  if(change === 'revoke') {
+    options.reason = reason;
+  }
+  await kmsService[method](options);
+  key.state = state;
+}
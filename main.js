@@ -0,0 +1,7 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+/* eslint-env node */
+// translate `index.js` to CommonJS for Node.js
+require = require('esm')(module);
+module.exports = require('./index.js');
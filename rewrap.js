@@ -0,0 +1,98 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+import {KmsOperationError} from './errors.js';
+
+/**
+ * Rewraps a wrapped key: it is unwrapped using one KEK and wrapped again
+ * using another. The rewrap is performed on the server if possible; if the
+ * server does not support it (it responds with `501 Not Implemented` or an
+ * error whose `type` is `NotSupportedError`), or if the KEKs use different
+ * services, the key is unwrapped and wrapped again on the client as a
+ * fallback.
+ *
+ * @param {Object} options - The options to use.
+ * @param {string} options.wrappedKey - The wrapped key material as a
+ *   base64url-encoded string.
+ * @param {Object} options.fromKek - The Kek instance that wrapped the key.
+ * @param {Object} options.toKek - The Kek instance to wrap the key with.
+ * @param {boolean} [options.fallback=true] - `false` to never expose the key
+ *   material to the client.
+ *
+ * @returns {Promise<string>} The base64url-encoded rewrapped key bytes.
+ */
+export async function rewrap({wrappedKey, fromKek, toKek, fallback = true}) {
+  if(fromKek.kmsService === toKek.kmsService) {
+    const {id: kekId, kmsService, signer, capability} = fromKek;
+    try {
+      return await kmsService.rewrapKey({
+        wrappedKey, kekId, destinationKekId: toKek.id, signer, capability
+      });
+    } catch(e) {
+      if(!(fallback && _isUnsupported(e))) {
+        throw e;
+      }
+    }
+  } else if(!fallback) {
+    throw new Error(
+      'KEKs from different KMS services can only be rewrapped on the client.');
+  }
+
+  const key = await fromKek.unwrap({wrappedKey});
+  try {
+    return await toKek.wrap({key});
+  } finally {
+    key.fill(0);
+  }
+}
+
+/**
+ * Rewraps many wrapped keys using `rewrap`. A failure to rewrap one key does
+ * not stop the others from being rewrapped.
+ *
+ * @param {Object} options - The options to use.
+ * @param {Array<string>} options.wrappedKeys - The wrapped keys.
+ * @param {Object} options.fromKek - The Kek instance that wrapped the keys.
+ * @param {Object} options.toKek - The Kek instance to wrap the keys with.
+ * @param {boolean} [options.fallback=true] - `false` to never expose the key
+ *   material to the client.
+ * @param {Function} [options.onProgress] - Called after each key with
+ *   `{completed, failed, total}`.
+ *
+ * @returns {Promise<Array<Object>>} One result per wrapped key, in order,
+ *   with `wrappedKey` and either `rewrappedKey` or `error`.
+ */
+export async function rewrapAll(
+  {wrappedKeys, fromKek, toKek, fallback = true, onProgress}) {
+  if(!Array.isArray(wrappedKeys)) {
+    throw new TypeError('"wrappedKeys" must be an array.');
+  }
+
+  const results = [];
+  const total = wrappedKeys.length;
+  let failed = 0;
+  for(const wrappedKey of wrappedKeys) {
+    try {
+      const rewrappedKey = await rewrap(
+        {wrappedKey, fromKek, toKek, fallback});
+      results.push({wrappedKey, rewrappedKey});
+    } catch(error) {
+      failed++;
+      results.push({wrappedKey, error});
+    }
+    if(onProgress) {
+      onProgress({completed: results.length, failed, total});
+    }
+  }
+  return results;
+}
+
+function _isUnsupported(error) {
+  // only fall back when the server says that it cannot rewrap; any other
+  // failure, such as an invalid wrapped key, would fail on the client too
+  return error.status === 501 ||
+    (error instanceof KmsOperationError && error.details &&
+    error.details.type === 'NotSupportedError');
+}
@@ -0,0 +1,50 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+import {IndexedDbStorage} from './IndexedDbStorage.js';
+import {MemoryStorage} from './MemoryStorage.js';
+import {WebStorage} from './WebStorage.js';
+
+/**
+ * Creates a storage backend.
+ *
+ * @param {string|Object} [storage] - The storage backend to use:
+ *   `localStorage`, `sessionStorage`, `indexedDB`, `memory` or an object
+ *   with async `get`, `set` and `remove` functions, which is returned as is;
+ *   defaults to `localStorage` if available, otherwise `memory`.
+ * @param {Object} [options] - The options to use.
+ * @param {string} [options.storeName] - The IndexedDB object store to use
+ *   with `indexedDB`; see `IndexedDbStorage`.
+ *
+ * @returns {Object} The storage backend.
+ */
+export function createStorage(storage, {storeName} = {}) {
+  if(storage === undefined) {
+    if(typeof localStorage !== 'undefined') {
+      return new WebStorage({storage: localStorage});
+    }
+    return new MemoryStorage();
+  }
+  if(storage === 'localStorage') {
+    return new WebStorage({
+      storage: typeof localStorage === 'undefined' ? null : localStorage
+    });
+  }
+  if(storage === 'sessionStorage') {
+    return new WebStorage({
+      storage: typeof sessionStorage === 'undefined' ? null : sessionStorage
+    });
+  }
+  if(storage === 'indexedDB') {
+    return new IndexedDbStorage({storeName});
+  }
+  if(storage === 'memory') {
+    return new MemoryStorage();
+  }
+  if(storage && typeof storage === 'object') {
+    return storage;
+  }
+  throw new Error(`Unknown storage "${storage}".`);
+}
@@ -0,0 +1,2431 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  AccountMasterKey,
+  AsymmetricKey,
+  AuditLog,
+  Hmac,
+  IndexedDbStorage,
+  Kek,
+  KeyAgreementKey,
+  KmsError,
+  KmsKeyStateError,
+  KmsNetworkError,
+  KmsNotFoundError,
+  KmsOperationError,
+  KmsPermissionError,
+  KmsServerError,
+  KmsService,
+  KmsThresholdError,
+  LocalKmsService,
+  MemoryStorage,
+  SeedCache,
+  Session,
+  WebAuthn,
+  WebStorage,
+  decrypt,
+  encrypt,
+  rewrap,
+  rewrapAll
+} from 'bedrock-web-kms';
+import base64url from 'base64url-universal';
+import cryptoLd from 'crypto-ld';
+import {MockKms} from './mock.js';
+
+const {Ed25519KeyPair} = cryptoLd;
+
+const KMS_PLUGIN = 'mock';
+
+describe('bedrock-web-kms API', () => {
+  let mock;
+  let kmsService;
+  let cache;
+  before(() => {
+    mock = new MockKms();
+  });
+  after(() => {
+    mock.restore();
+  });
+  beforeEach(() => {
+    mock.reset();
+    kmsService = new KmsService({retries: 0});
+    cache = new SeedCache({storage: 'memory'});
+  });
+
+  async function _createMasterKey(
+    {accountId = 'alice', secret = 'secret'} = {}) {
+    return AccountMasterKey.fromSecret(
+      {secret, accountId, kmsService, kmsPlugin: KMS_PLUGIN, cache: false});
+  }
+
+  describe('AccountMasterKey', () => {
+    it('should create a master key from a secret', async () => {
+      const masterKey = await _createMasterKey();
+      masterKey.accountId.should.equal('alice');
+      masterKey.kmsPlugin.should.equal(KMS_PLUGIN);
+      masterKey.signer.id.should.be.a('string');
+      masterKey.signer.id.should.match(/^urn:bedrock-web-kms:key:/);
+    });
+
+    it('should derive the same signer from the same secret', async () => {
+      const masterKey1 = await _createMasterKey();
+      const masterKey2 = await _createMasterKey();
+      masterKey1.signer.id.should.equal(masterKey2.signer.id);
+    });
+
+    it('should derive different signers from different secrets', async () => {
+      const masterKey1 = await _createMasterKey();
+      const masterKey2 = await _createMasterKey({secret: 'other'});
+      masterKey1.signer.id.should.not.equal(masterKey2.signer.id);
+    });
+
+    it('should derive different signers for different accounts', async () => {
+      const masterKey1 = await _createMasterKey();
+      const masterKey2 = await _createMasterKey({accountId: 'bob'});
+      masterKey1.signer.id.should.not.equal(masterKey2.signer.id);
+    });
+
+    it('should accept a Uint8Array secret', async () => {
+      const masterKey1 = await _createMasterKey();
+      const masterKey2 = await _createMasterKey(
+        {secret: new TextEncoder().encode('secret')});
+      masterKey1.signer.id.should.equal(masterKey2.signer.id);
+    });
+
+    it('should reject an invalid secret', async () => {
+      let err;
+      try {
+        await _createMasterKey({secret: 1});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.should.be.instanceof(TypeError);
+    });
+
+    it('should return null from an empty cache', async () => {
+      const masterKey = await AccountMasterKey.fromCache(
+        {accountId: 'alice', kmsService, kmsPlugin: KMS_PLUGIN, cache});
+      should.not.exist(masterKey);
+    });
+
+    it('should load a cached master key', async () => {
+      const masterKey1 = await AccountMasterKey.fromSecret({
+        secret: 'secret', accountId: 'alice', kmsService,
+        kmsPlugin: KMS_PLUGIN, cache
+      });
+      const masterKey2 = await AccountMasterKey.fromCache(
+        {accountId: 'alice', kmsService, kmsPlugin: KMS_PLUGIN, cache});
+      should.exist(masterKey2);
+      masterKey2.signer.id.should.equal(masterKey1.signer.id);
+    });
+
+    it('should not load a master key after clearing the cache', async () => {
+      await AccountMasterKey.fromSecret({
+        secret: 'secret', accountId: 'alice', kmsService,
+        kmsPlugin: KMS_PLUGIN, cache
+      });
+      await AccountMasterKey.clearCache({accountId: 'alice', cache});
+      const masterKey = await AccountMasterKey.fromCache(
+        {accountId: 'alice', kmsService, kmsPlugin: KMS_PLUGIN, cache});
+      should.not.exist(masterKey);
+    });
+
+    it('should reject an invalid cache', async () => {
+      let err;
+      try {
+        await AccountMasterKey.fromSecret({
+          secret: 'secret', accountId: 'alice', kmsService,
+          kmsPlugin: KMS_PLUGIN, cache: {storage: 'memory'}
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.should.be.instanceof(TypeError);
+      err.message.should.contain('"cache"');
+    });
+
+    it('should generate a KEK', async () => {
+      const masterKey = await _createMasterKey();
+      const kek = await masterKey.generateKey({type: 'kek'});
+      kek.should.be.instanceof(Kek);
+      kek.id.should.be.a('string');
+      kek.type.should.equal('AesKeyWrappingKey2019');
+      kek.algorithm.should.equal('A256KW');
+    });
+
+    it('should generate an HMAC key', async () => {
+      const masterKey = await _createMasterKey();
+      const hmac = await masterKey.generateKey({type: 'hmac'});
+      hmac.should.be.instanceof(Hmac);
+      hmac.id.should.be.a('string');
+      hmac.type.should.equal('Sha256HmacKey2019');
+      hmac.algorithm.should.equal('HS256');
+    });
+
+    it('should reject an unknown key type', async () => {
+      const masterKey = await _createMasterKey();
+      let err;
+      try {
+        await masterKey.generateKey({type: 'unknown'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.contain('Unknown key type');
+    });
+
+    it('should reject an unsupported version', async () => {
+      const masterKey = await _createMasterKey();
+      let err;
+      try {
+        await masterKey.generateKey({type: 'kek', version: 'unknown'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.contain('Unsupported version');
+    });
+
+    it('should get an existing KEK', async () => {
+      const masterKey = await _createMasterKey();
+      const {id} = await masterKey.generateKey({type: 'kek'});
+      const kek = await masterKey.getKek({id});
+      kek.should.be.instanceof(Kek);
+      kek.id.should.equal(id);
+      kek.algorithm.should.equal('A256KW');
+    });
+
+    it('should get an existing HMAC key', async () => {
+      const masterKey = await _createMasterKey();
+      const {id} = await masterKey.generateKey({type: 'hmac'});
+      const hmac = await masterKey.getHmac({id});
+      hmac.should.be.instanceof(Hmac);
+      hmac.id.should.equal(id);
+      hmac.algorithm.should.equal('HS256');
+    });
+
+    it('should not get an HMAC key as a KEK', async () => {
+      const masterKey = await _createMasterKey();
+      const {id} = await masterKey.generateKey({type: 'hmac'});
+      let err;
+      try {
+        await masterKey.getKek({id});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.contain('Unsupported KEK type');
+    });
+  });
+
+  describe('AccountMasterKey secret changes', () => {
+    it('should transfer keys to a new secret', async () => {
+      const masterKey = await _createMasterKey();
+      const oldSigner = masterKey.signer;
+      const {id} = await masterKey.generateKey({type: 'kek'});
+      await masterKey.changeSecret(
+        {oldSecret: 'secret', newSecret: 'new', cache});
+
+      const newMasterKey = await _createMasterKey({secret: 'new'});
+      masterKey.signer.id.should.equal(newMasterKey.signer.id);
+      const kek = await newMasterKey.getKek({id});
+      const key = crypto.getRandomValues(new Uint8Array(32));
+      const wrappedKey = await kek.wrap({key});
+
+      const oldKek = new Kek({id, signer: oldSigner, kmsService});
+      let err;
+      try {
+        await oldKek.unwrap({wrappedKey});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.should.be.instanceof(KmsPermissionError);
+    });
+
+    it('should reject a wrong old secret', async () => {
+      const masterKey = await _createMasterKey();
+      let err;
+      try {
+        await masterKey.changeSecret(
+          {oldSecret: 'wrong', newSecret: 'new', cache});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.contain('"oldSecret"');
+    });
+
+    it('should require the old secret', async () => {
+      const masterKey = await _createMasterKey();
+      let err;
+      try {
+        await masterKey.changeSecret({newSecret: 'new', cache});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.should.be.instanceof(TypeError);
+      err.message.should.contain('"oldSecret"');
+    });
+
+    it('should recover keys using a recovery code', async () => {
+      const masterKey = await _createMasterKey();
+      const {id} = await masterKey.generateKey({type: 'kek'});
+      const {recoveryCode, recoveryController} =
+        await masterKey.createRecoveryCode();
+      recoveryCode.should.be.a('string');
+      masterKey.recoveryController.should.equal(recoveryController);
+
+      // keys generated after creating the code are recoverable too
+      const {id: id2} = await masterKey.generateKey({type: 'kek'});
+
+      const recovered = await AccountMasterKey.fromRecoveryCode({
+        recoveryCode: recoveryCode.toLowerCase(), accountId: 'alice',
+        kmsService, kmsPlugin: KMS_PLUGIN
+      });
+      recovered.signer.id.should.equal(recoveryController);
+      await recovered.getKek({id});
+      await recovered.getKek({id: id2});
+
+      await recovered.changeSecret({newSecret: 'new', cache});
+      const newMasterKey = await _createMasterKey({secret: 'new'});
+      const kek = await newMasterKey.getKek({id});
+      const key = crypto.getRandomValues(new Uint8Array(32));
+      const wrappedKey = await kek.wrap({key});
+      (await kek.unwrap({wrappedKey})).should.deep.equal(key);
+    });
+
+    it('should remove the old secret when recovering keys', async () => {
+      const masterKey = await _createMasterKey();
+      const {id} = await masterKey.generateKey({type: 'kek'});
+      const {recoveryCode, recoveryController} =
+        await masterKey.createRecoveryCode();
+      const recovered = await AccountMasterKey.fromRecoveryCode({
+        recoveryCode, accountId: 'alice', kmsService, kmsPlugin: KMS_PLUGIN
+      });
+      await recovered.changeSecret({newSecret: 'new', cache});
+
+      const newMasterKey = await _createMasterKey({secret: 'new'});
+      const {controller} = await kmsService.getKeyDescription(
+        {keyId: id, signer: newMasterKey.signer});
+      controller.should.deep.equal(
+        [newMasterKey.signer.id, recoveryController]);
+      let err;
+      try {
+        await masterKey.getKek({id});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.should.be.instanceof(KmsPermissionError);
+    });
+  });
+
+  describe('AccountMasterKey derivation', () => {
+    async function _fromSecret({secret = 'secret', derivation}) {
+      return AccountMasterKey.fromSecret({
+        secret, accountId: 'alice', derivation, kmsService,
+        kmsPlugin: KMS_PLUGIN, cache: false
+      });
+    }
+
+    it('should create derivation descriptors', async () => {
+      const recommended = AccountMasterKey.createDerivation();
+      recommended.version.should.equal(1);
+      recommended.kdf.should.equal('scrypt');
+      recommended.salt.should.be.a('string');
+      const fips = AccountMasterKey.createDerivation({version: 'fips'});
+      fips.kdf.should.equal('pbkdf2');
+      fips.salt.should.not.equal(recommended.salt);
+    });
+
+    it('should derive the same signer with the same descriptor', async () => {
+      for(const version of ['recommended', 'fips']) {
+        const derivation = AccountMasterKey.createDerivation({version});
+        const masterKey1 = await _fromSecret({derivation});
+        const masterKey2 = await _fromSecret({derivation});
+        masterKey1.signer.id.should.equal(masterKey2.signer.id);
+        masterKey1.derivation.should.equal(derivation);
+
+        // the legacy derivation and other salts give other signers
+        const legacy = await _fromSecret({});
+        legacy.signer.id.should.not.equal(masterKey1.signer.id);
+        const other = await _fromSecret(
+          {derivation: AccountMasterKey.createDerivation({version})});
+        other.signer.id.should.not.equal(masterKey1.signer.id);
+      }
+    });
+
+    it('should reject weak derivation parameters', async () => {
+      const derivation = {
+        ...AccountMasterKey.createDerivation({version: 'fips'}),
+        iterations: 1000
+      };
+      let err;
+      try {
+        await _fromSecret({derivation});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.contain('"iterations"');
+    });
+
+    it('should reject excessive derivation parameters', async () => {
+      const fips = AccountMasterKey.createDerivation({version: 'fips'});
+      const recommended = AccountMasterKey.createDerivation();
+      for(const [derivation, name] of [
+        [{...fips, iterations: 1e9}, '"iterations"'],
+        [{...recommended, N: 2 ** 30}, '"N"'],
+        [{...recommended, N: 20000}, '"N"'],
+        [{...recommended, r: 1000}, '"r"'],
+        [{...recommended, r: 1.5}, '"r"'],
+        [{...recommended, p: 1e6}, '"p"'],
+        [{...recommended, p: 0}, '"p"'],
+        [{...recommended, N: 2 ** 20, r: 8}, 'memory']
+      ]) {
+        let err;
+        try {
+          await _fromSecret({derivation});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.message.should.contain(name);
+      }
+    });
+
+    it('should upgrade a legacy account', async () => {
+      const masterKey = await _createMasterKey();
+      const {id} = await masterKey.generateKey({type: 'kek'});
+      const derivation = AccountMasterKey.createDerivation();
+      await masterKey.changeSecret(
+        {oldSecret: 'secret', newSecret: 'secret', derivation, cache});
+      masterKey.derivation.should.equal(derivation);
+
+      const upgraded = await _fromSecret({derivation});
+      upgraded.signer.id.should.equal(masterKey.signer.id);
+      await upgraded.getKek({id});
+    });
+  });
+
+  describe('AccountMasterKey FIDO', () => {
+    // a fake authenticator whose `prf` output is an HMAC of the salt
+    function _createWebAuthn({prf = true} = {}) {
+      const secret = crypto.getRandomValues(new Uint8Array(32));
+      const rawId = crypto.getRandomValues(new Uint8Array(16));
+      const requests = [];
+      const credentials = {
+        async create({publicKey}) {
+          requests.push(publicKey);
+          return {
+            rawId: rawId.buffer,
+            getClientExtensionResults: () => ({prf: {enabled: prf}})
+          };
+        },
+        async get({publicKey}) {
+          requests.push(publicKey);
+          if(!prf) {
+            return {getClientExtensionResults: () => ({})};
+          }
+          const key = await crypto.subtle.importKey(
+            'raw', secret, {name: 'HMAC', hash: 'SHA-256'}, false, ['sign']);
+          const first = await crypto.subtle.sign(
+            'HMAC', key, publicKey.extensions.prf.eval.first);
+          return {getClientExtensionResults: () => ({prf: {results: {first}}})};
+        }
+      };
+      return {webAuthn: new WebAuthn({credentials}), rawId, requests};
+    }
+
+    it('should register a credential for an account', async () => {
+      const {webAuthn, rawId, requests} = _createWebAuthn();
+      const {credentialId} = await AccountMasterKey.registerFido(
+        {accountId: 'alice', rp: {name: 'Example'}, webAuthn});
+      base64url.decode(credentialId).should.deep.equal(rawId);
+      const {user} = requests[0];
+      user.name.should.equal('alice');
+      user.displayName.should.equal('alice');
+      user.id.should.be.instanceof(Uint8Array);
+    });
+
+    it('should reject an authenticator without "prf"', async () => {
+      const {webAuthn} = _createWebAuthn({prf: false});
+      let err;
+      try {
+        await AccountMasterKey.registerFido(
+          {accountId: 'alice', rp: {name: 'Example'}, webAuthn});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.contain('"prf"');
+    });
+
+    it('should derive the same master key from a credential', async () => {
+      const {webAuthn, requests} = _createWebAuthn();
+      const {credentialId} = await AccountMasterKey.registerFido(
+        {accountId: 'alice', rp: {name: 'Example'}, webAuthn});
+      const options = {
+        accountId: 'alice', credentialId, kmsService, kmsPlugin: KMS_PLUGIN,
+        cache, webAuthn
+      };
+      const masterKey1 = await AccountMasterKey.fromFido(options);
+      const masterKey2 = await AccountMasterKey.fromFido(options);
+      masterKey2.signer.id.should.equal(masterKey1.signer.id);
+      requests[1].userVerification.should.equal('required');
+      requests[1].allowCredentials[0].id.should.deep.equal(
+        base64url.decode(credentialId));
+
+      const bob = await AccountMasterKey.fromFido(
+        {...options, accountId: 'bob'});
+      bob.signer.id.should.not.equal(masterKey1.signer.id);
+
+      const cached = await AccountMasterKey.fromCache(
+        {accountId: 'alice', kmsService, kmsPlugin: KMS_PLUGIN, cache});
+      cached.signer.id.should.equal(masterKey1.signer.id);
+      await masterKey1.generateKey({type: 'kek'});
+    });
+  });
+
+  describe('AccountMasterKey backups', () => {
+    async function _createExportableMasterKey() {
+      return AccountMasterKey.fromSecret({
+        secret: 'secret', accountId: 'alice', kmsService,
+        kmsPlugin: KMS_PLUGIN, cache: false, exportable: true
+      });
+    }
+
+    it('should restore a master key from a backup', async () => {
+      const derivation = AccountMasterKey.createDerivation({version: 'fips'});
+      const masterKey = await AccountMasterKey.fromSecret({
+        secret: 'secret', accountId: 'alice', derivation, kmsService,
+        kmsPlugin: KMS_PLUGIN, cache: false, exportable: true
+      });
+      const kek = await masterKey.generateKey({type: 'kek'});
+      const {bundle, text} = await masterKey.export(
+        {password: 'correct horse', version: 'fips'});
+      bundle.accountId.should.equal('alice');
+      should.not.exist(bundle.seed);
+      text.should.match(/^KMSBACKUP1:[0-9A-Z]+$/);
+
+      for(const backup of [bundle, JSON.stringify(bundle), text]) {
+        const restored = await AccountMasterKey.fromBackup(
+          {bundle: backup, password: 'correct horse', kmsService});
+        restored.accountId.should.equal('alice');
+        restored.kmsPlugin.should.equal(KMS_PLUGIN);
+        restored.signer.id.should.equal(masterKey.signer.id);
+        restored.derivation.should.deep.equal(derivation);
+        await restored.getKek({id: kek.id});
+      }
+    });
+
+    it('should reject an incorrect password', async () => {
+      const masterKey = await _createExportableMasterKey();
+      const {text} = await masterKey.export(
+        {password: 'correct horse', version: 'fips'});
+      let err;
+      try {
+        await AccountMasterKey.fromBackup(
+          {bundle: text, password: 'wrong', kmsService});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.contain('Could not decrypt the backup');
+    });
+
+    it('should write a restored master key to a cache', async () => {
+      const masterKey = await _createExportableMasterKey();
+      const {bundle} = await masterKey.export(
+        {password: 'correct horse', version: 'fips'});
+      await AccountMasterKey.fromBackup(
+        {bundle, password: 'correct horse', kmsService, cache});
+      const cached = await AccountMasterKey.fromCache(
+        {accountId: 'alice', kmsService, kmsPlugin: KMS_PLUGIN, cache});
+      cached.signer.id.should.equal(masterKey.signer.id);
+    });
+
+    it('should not export a master key without a seed', async () => {
+      const {signer} = await _createMasterKey();
+      const masterKey = new AccountMasterKey({
+        accountId: 'alice', signer, kmsService, kmsPlugin: KMS_PLUGIN,
+        exportable: true
+      });
+      let err;
+      try {
+        await masterKey.export({password: 'correct horse'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.contain('cannot be exported');
+    });
+
+    it('should only keep the seed of an exportable master key', async () => {
+      const masterKey = await _createMasterKey();
+      should.not.exist(masterKey._seed);
+      let err;
+      try {
+        await masterKey.export({password: 'correct horse'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.contain('"exportable"');
+
+      // a new secret's seed is only kept if the old one was
+      const exportable = await _createExportableMasterKey();
+      await exportable.changeSecret(
+        {oldSecret: 'secret', newSecret: 'new', cache});
+      const {bundle} = await exportable.export({password: 'correct horse'});
+      const restored = await AccountMasterKey.fromBackup(
+        {bundle, password: 'correct horse', kmsService});
+      restored.signer.id.should.equal(exportable.signer.id);
+    });
+
+    it('should reject malformed backup text', async () => {
+      for(const bundle of ['KMSBACKUP1:not base32!', 'not a backup']) {
+        let err;
+        try {
+          await AccountMasterKey.fromBackup(
+            {bundle, password: 'correct horse', kmsService});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.message.should.equal('"bundle" is not a valid backup.');
+      }
+    });
+  });
+
+  describe('SeedCache', () => {
+    const SEED_CACHE_KEY = 'bedrock-web-kms-seed-cache';
+    let seed;
+    beforeEach(() => {
+      localStorage.removeItem(SEED_CACHE_KEY);
+      seed = crypto.getRandomValues(new Uint8Array(32));
+    });
+
+    function _getStored() {
+      return JSON.parse(localStorage.getItem(SEED_CACHE_KEY));
+    }
+
+    it('should encrypt seeds in persistent storage', async () => {
+      const seedCache = new SeedCache({storage: 'localStorage'});
+      seedCache.encrypt.should.equal(true);
+      (await seedCache.set({accountId: 'alice', seed})).should.equal(true);
+      const entry = _getStored().alice;
+      should.not.exist(entry.seed);
+      entry.ciphertext.should.be.a('string');
+      base64url.decode(entry.ciphertext).should.not.deep.equal(seed);
+      (await seedCache.get({accountId: 'alice'})).should.deep.equal(seed);
+
+      // the key is kept in IndexedDB so another instance can decrypt
+      const other = new SeedCache({storage: 'localStorage'});
+      (await other.get({accountId: 'alice'})).should.deep.equal(seed);
+    });
+
+    it('should migrate plaintext entries', async () => {
+      localStorage.setItem(
+        SEED_CACHE_KEY, JSON.stringify({alice: base64url.encode(seed)}));
+      const seedCache = new SeedCache({storage: 'localStorage'});
+      (await seedCache.get({accountId: 'alice'})).should.deep.equal(seed);
+      _getStored().alice.ciphertext.should.be.a('string');
+      (await seedCache.get({accountId: 'alice'})).should.deep.equal(seed);
+    });
+
+    it('should remove entries that cannot be decrypted', async () => {
+      const _generateKey = () => crypto.subtle.generateKey(
+        {name: 'AES-GCM', length: 256}, false, ['encrypt', 'decrypt']);
+      const seedCache = new SeedCache(
+        {storage: 'localStorage', encryptionKey: await _generateKey()});
+      await seedCache.set({accountId: 'alice', seed});
+      const other = new SeedCache(
+        {storage: 'localStorage', encryptionKey: await _generateKey()});
+      should.not.exist(await other.get({accountId: 'alice'}));
+      should.not.exist(_getStored().alice);
+    });
+
+    it('should keep entries if the encryption key cannot be used',
+      async () => {
+        const seedCache = new SeedCache({storage: 'localStorage'});
+        await seedCache.set({accountId: 'alice', seed});
+        const hmacKey = await crypto.subtle.generateKey(
+          {name: 'HMAC', hash: 'SHA-256'}, false, ['sign']);
+        const other = new SeedCache(
+          {storage: 'localStorage', encryptionKey: hmacKey});
+        let err;
+        try {
+          await other.get({accountId: 'alice'});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        should.exist(_getStored().alice);
+      });
+
+    it('should reject if the storage backend fails', async () => {
+      const error = new Error('Storage is full.');
+      const storage = {
+        get: async () => ({}),
+        set: async () => {
+          throw error;
+        },
+        remove: async () => {
+          throw error;
+        }
+      };
+      const seedCache = new SeedCache({storage, encrypt: false});
+      for(const promise of [
+        seedCache.set({accountId: 'alice', seed}),
+        seedCache.remove({accountId: 'alice'}),
+        seedCache.clearAll()
+      ]) {
+        let err;
+        try {
+          await promise;
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.should.equal(error);
+      }
+    });
+
+    it('should keep seeds in memory by default without IndexedDB', () => {
+      const descriptor = Object.getOwnPropertyDescriptor(window, 'indexedDB');
+      Object.defineProperty(
+        window, 'indexedDB', {value: undefined, configurable: true});
+      try {
+        new SeedCache().storage.should.be.instanceof(MemoryStorage);
+        const encryptionKey = {};
+        new SeedCache({encryptionKey}).storage.should.be.instanceof(
+          WebStorage);
+        new SeedCache({storage: 'localStorage'}).storage.should.be.instanceof(
+          WebStorage);
+      } finally {
+        if(descriptor) {
+          Object.defineProperty(window, 'indexedDB', descriptor);
+        } else {
+          delete window.indexedDB;
+        }
+      }
+    });
+
+    it('should use the selected storage backend', async () => {
+      const memory = new SeedCache({storage: 'memory'});
+      memory.storage.should.be.instanceof(MemoryStorage);
+      memory.encrypt.should.equal(false);
+      await memory.set({accountId: 'alice', seed});
+      (await memory.get({accountId: 'alice'})).should.deep.equal(seed);
+
+      const session = new SeedCache({storage: 'sessionStorage'});
+      session.storage.should.be.instanceof(WebStorage);
+      session.storage.storage.should.equal(sessionStorage);
+
+      const values = new Map();
+      const storage = {
+        get: async key => values.get(key),
+        set: async (key, value) => values.set(key, value),
+        remove: async key => values.delete(key)
+      };
+      const custom = new SeedCache({storage});
+      custom.storage.should.equal(storage);
+      await custom.set({accountId: 'alice', seed});
+      values.get(SEED_CACHE_KEY).alice.seed.should.be.a('string');
+
+      let err;
+      try {
+        new SeedCache({storage: 'unknown'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.contain('Unknown storage');
+    });
+
+    it('should expire entries after "ttl"', async () => {
+      const seedCache = new SeedCache({storage: 'memory', ttl: 1000});
+      await seedCache.set({accountId: 'alice', seed});
+      await seedCache.set({accountId: 'bob', seed, ttl: 0});
+      (await seedCache.get({accountId: 'alice'})).should.deep.equal(seed);
+      should.not.exist(await seedCache.get({accountId: 'bob'}));
+
+      const {now} = Date;
+      try {
+        Date.now = () => now() + 1000;
+        should.not.exist(await seedCache.get({accountId: 'alice'}));
+      } finally {
+        Date.now = now;
+      }
+    });
+
+    it('should expire entries after "idleTimeout"', async () => {
+      const seedCache = new SeedCache({storage: 'memory', idleTimeout: 1000});
+      await seedCache.set({accountId: 'alice', seed});
+      const {now} = Date;
+      const start = now();
+      try {
+        // each access resets the idle time
+        Date.now = () => start + 600;
+        (await seedCache.get({accountId: 'alice'})).should.deep.equal(seed);
+        Date.now = () => start + 1200;
+        (await seedCache.get({accountId: 'alice'})).should.deep.equal(seed);
+        Date.now = () => start + 2200;
+        should.not.exist(await seedCache.get({accountId: 'alice'}));
+      } finally {
+        Date.now = now;
+      }
+    });
+
+    it('should clear all seeds', async () => {
+      const seedCache = new SeedCache({storage: 'memory'});
+      await seedCache.set({accountId: 'alice', seed});
+      await seedCache.set({accountId: 'bob', seed});
+      (await seedCache.clearAll()).should.equal(true);
+      should.not.exist(await seedCache.get({accountId: 'alice'}));
+      should.not.exist(await seedCache.get({accountId: 'bob'}));
+    });
+  });
+
+  describe('Session', () => {
+    let sessions;
+    beforeEach(() => {
+      // a unique name keeps tests from receiving each other's messages
+      const name = `bedrock-web-kms-test-${Math.random()}`;
+      sessions = [new Session({name, cache}), new Session({name, cache})];
+    });
+    afterEach(() => {
+      sessions.forEach(session => session.close());
+    });
+
+    function _nextEvent(session, type) {
+      return new Promise(resolve => session.on(type, resolve));
+    }
+
+    async function _assertLocked(promise) {
+      let err;
+      try {
+        await promise;
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.contain('locked');
+    }
+
+    it('should lock a master key and its key APIs', async () => {
+      const masterKey = await _createMasterKey();
+      const kek = await masterKey.generateKey({type: 'kek'});
+      masterKey.lock();
+      masterKey.locked.should.equal(true);
+      await _assertLocked(kek.wrap({key: new Uint8Array(32)}));
+      await _assertLocked(masterKey.generateKey({type: 'hmac'}));
+    });
+
+    it('should lock master keys in other sessions', async () => {
+      const [session1, session2] = sessions;
+      const masterKey = session2.add(await _createMasterKey());
+      const hmac = await masterKey.generateKey({type: 'hmac'});
+      const received = _nextEvent(session2, 'lock');
+      const sent = _nextEvent(session1, 'lock');
+      session1.lock();
+      (await sent).remote.should.equal(false);
+      (await received).remote.should.equal(true);
+      masterKey.locked.should.equal(true);
+      await _assertLocked(hmac.sign({data: new Uint8Array(1)}));
+    });
+
+    it('should log an account out in other sessions', async () => {
+      const [session1, session2] = sessions;
+      await AccountMasterKey.fromSecret({
+        secret: 'secret', accountId: 'alice', kmsService,
+        kmsPlugin: KMS_PLUGIN, cache
+      });
+      const alice = session2.add(await AccountMasterKey.fromCache(
+        {accountId: 'alice', kmsService, kmsPlugin: KMS_PLUGIN, cache}));
+      const bob = session2.add(await _createMasterKey({accountId: 'bob'}));
+      const received = _nextEvent(session2, 'logout');
+      await session1.logout({accountId: 'alice'});
+      const event = await received;
+      event.accountId.should.equal('alice');
+      event.remote.should.equal(true);
+      alice.locked.should.equal(true);
+      bob.locked.should.equal(false);
+      should.not.exist(await AccountMasterKey.fromCache(
+        {accountId: 'alice', kmsService, kmsPlugin: KMS_PLUGIN, cache}));
+    });
+
+    it('should report a cache that cannot be cleared', async () => {
+      const storage = {
+        async get() {
+          return {};
+        },
+        async set() {
+          throw new Error('Storage is full.');
+        },
+        async remove() {}
+      };
+      const name = `bedrock-web-kms-test-${Math.random()}`;
+      const failing = new SeedCache({storage, encrypt: false});
+      const session1 = new Session({name, cache: failing});
+      const session2 = new Session({name, cache: failing});
+      try {
+        const masterKey = session2.add(await _createMasterKey());
+        const reported = _nextEvent(session2, 'error');
+        let err;
+        try {
+          await session1.logout({accountId: 'alice'});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.message.should.contain('could not be cleared');
+        const event = await reported;
+        event.accountId.should.equal('alice');
+        event.error.message.should.contain('could not be cleared');
+        masterKey.locked.should.equal(true);
+      } finally {
+        session1.close();
+        session2.close();
+      }
+    });
+
+    it('should report errors thrown by listeners', async () => {
+      const [session] = sessions;
+      const error = new Error('Listener failed.');
+      session.on('lock', () => {
+        throw error;
+      });
+      const reported = _nextEvent(session, 'error');
+      session.lock();
+      const event = await reported;
+      event.error.should.equal(error);
+      event.event.type.should.equal('lock');
+    });
+
+    it('should reject locked signers in LocalKmsService', async () => {
+      const masterKey = await AccountMasterKey.fromSecret({
+        secret: 'secret', accountId: 'alice',
+        kmsService: new LocalKmsService({storage: 'memory'}),
+        kmsPlugin: KMS_PLUGIN, cache: false
+      });
+      const kek = await masterKey.generateKey({type: 'kek'});
+      masterKey.lock();
+      await _assertLocked(kek.wrap({key: new Uint8Array(32)}));
+    });
+  });
+
+  describe('Kek', () => {
+    it('should wrap and unwrap a key', async () => {
+      const masterKey = await _createMasterKey();
+      const kek = await masterKey.generateKey({type: 'kek'});
+      const key = crypto.getRandomValues(new Uint8Array(32));
+      const wrappedKey = await kek.wrap({key});
+      wrappedKey.should.be.a('string');
+      const unwrappedKey = await kek.unwrap({wrappedKey});
+      unwrappedKey.should.be.instanceof(Uint8Array);
+      unwrappedKey.should.deep.equal(key);
+    });
+
+    it('should fail to unwrap a key with a different KEK', async () => {
+      const masterKey = await _createMasterKey();
+      const kek1 = await masterKey.generateKey({type: 'kek'});
+      const kek2 = await masterKey.generateKey({type: 'kek'});
+      const key = crypto.getRandomValues(new Uint8Array(32));
+      const wrappedKey = await kek1.wrap({key});
+      let err;
+      try {
+        await kek2.unwrap({wrappedKey});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.should.be.instanceof(KmsOperationError);
+      err.operationType.should.equal('UnwrapKeyOperation');
+      err.keyId.should.equal(kek2.id);
+    });
+
+    it('should not allow another master key to use a KEK', async () => {
+      const masterKey1 = await _createMasterKey();
+      const masterKey2 = await _createMasterKey({secret: 'other'});
+      const {id} = await masterKey1.generateKey({type: 'kek'});
+      const kek = new Kek({id, signer: masterKey2.signer, kmsService});
+      let err;
+      try {
+        await kek.wrap({key: new Uint8Array(32)});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.should.be.instanceof(KmsPermissionError);
+    });
+  });
+
+  describe('Envelope encryption', () => {
+    it('should encrypt data for each recipient', async () => {
+      const masterKey = await _createMasterKey();
+      const kek1 = await masterKey.generateKey({type: 'kek'});
+      const kek2 = await masterKey.generateKey({type: 'kek'});
+      const data = new TextEncoder().encode('hello');
+      const jwe = await encrypt({data, keks: [kek1, kek2]});
+      JSON.parse(new TextDecoder().decode(base64url.decode(jwe.protected)))
+        .should.deep.equal({enc: 'A256GCM'});
+      jwe.recipients.map(r => r.header).should.deep.equal([
+        {alg: 'A256KW', kid: kek1.id},
+        {alg: 'A256KW', kid: kek2.id}
+      ]);
+      base64url.decode(jwe.iv).length.should.equal(12);
+      base64url.decode(jwe.tag).length.should.equal(16);
+      (await decrypt({jwe, kek: kek1})).should.deep.equal(data);
+      (await decrypt({jwe, kek: kek2})).should.deep.equal(data);
+    });
+
+    it('should not decrypt without a recipient KEK', async () => {
+      const masterKey = await _createMasterKey();
+      const kek = await masterKey.generateKey({type: 'kek'});
+      const other = await masterKey.generateKey({type: 'kek'});
+      const jwe = await encrypt({data: new Uint8Array([1, 2, 3]), kek});
+      let err;
+      try {
+        await decrypt({jwe, kek: other});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.contain('no recipient');
+    });
+
+    it('should not decrypt modified ciphertext', async () => {
+      const masterKey = await _createMasterKey();
+      const kek = await masterKey.generateKey({type: 'kek'});
+      const jwe = await encrypt({data: new Uint8Array([1, 2, 3]), kek});
+      const ciphertext = base64url.decode(jwe.ciphertext);
+      ciphertext[0] ^= 1;
+      let err;
+      try {
+        await decrypt(
+          {jwe: {...jwe, ciphertext: base64url.encode(ciphertext)}, kek});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+    });
+
+    it('should reject a KEK with another algorithm', async () => {
+      const masterKey = await _createMasterKey();
+      const hmac = await masterKey.generateKey({type: 'hmac'});
+      let err;
+      try {
+        await encrypt({data: new Uint8Array(1), kek: hmac});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.contain('Unsupported KEK algorithm');
+    });
+  });
+
+  describe('Kek rotation', () => {
+    it('should rotate a KEK', async () => {
+      const masterKey = await _createMasterKey();
+      const kek = await masterKey.generateKey({type: 'kek'});
+      const successor = await masterKey.rotateKek({kek});
+      successor.should.be.instanceof(Kek);
+      successor.id.should.not.equal(kek.id);
+      successor.type.should.equal(kek.type);
+      successor.lineage.previousKey.should.equal(kek.id);
+      successor.lineage.rotated.should.be.a('string');
+      const fetched = await masterKey.getKek({id: successor.id});
+      fetched.lineage.should.deep.equal(successor.lineage);
+    });
+
+    it('should rewrap a key', async () => {
+      const masterKey = await _createMasterKey();
+      const fromKek = await masterKey.generateKey({type: 'kek'});
+      const toKek = await masterKey.rotateKek({kek: fromKek});
+      const key = crypto.getRandomValues(new Uint8Array(32));
+      const wrappedKey = await fromKek.wrap({key});
+      const rewrappedKey = await rewrap({wrappedKey, fromKek, toKek});
+      const unwrappedKey = await toKek.unwrap({wrappedKey: rewrappedKey});
+      unwrappedKey.should.deep.equal(key);
+    });
+
+    it('should rewrap many keys and report failures', async () => {
+      const masterKey = await _createMasterKey();
+      const fromKek = await masterKey.generateKey({type: 'kek'});
+      const toKek = await masterKey.rotateKek({kek: fromKek});
+      const otherKek = await masterKey.generateKey({type: 'kek'});
+      const keys = [0, 1, 2].map(
+        () => crypto.getRandomValues(new Uint8Array(32)));
+      const wrappedKeys = [
+        await fromKek.wrap({key: keys[0]}),
+        await otherKek.wrap({key: keys[1]}),
+        await fromKek.wrap({key: keys[2]})
+      ];
+      const progress = [];
+      const results = await rewrapAll({
+        wrappedKeys, fromKek, toKek, onProgress: p => progress.push(p)
+      });
+      results.length.should.equal(3);
+      should.exist(results[1].error);
+      should.not.exist(results[1].rewrappedKey);
+      for(const i of [0, 2]) {
+        should.not.exist(results[i].error);
+        const unwrappedKey = await toKek.unwrap(
+          {wrappedKey: results[i].rewrappedKey});
+        unwrappedKey.should.deep.equal(keys[i]);
+      }
+      progress.length.should.equal(3);
+      progress[2].should.deep.equal({completed: 3, failed: 1, total: 3});
+    });
+
+    it('should rewrap on the client if the server cannot', async () => {
+      const masterKey = await _createMasterKey();
+      const fromKek = await masterKey.generateKey({type: 'kek'});
+      const toKek = await masterKey.rotateKek({kek: fromKek});
+      const key = crypto.getRandomValues(new Uint8Array(32));
+      const wrappedKey = await fromKek.wrap({key});
+      mock.unsupported.add('RewrapKeyOperation');
+      const rewrappedKey = await rewrap({wrappedKey, fromKek, toKek});
+      (await toKek.unwrap({wrappedKey: rewrappedKey})).should.deep.equal(key);
+
+      let err;
+      try {
+        await rewrap({wrappedKey, fromKek, toKek, fallback: false});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.status.should.equal(501);
+    });
+
+    it('should not rewrap an invalid key on the client', async () => {
+      const masterKey = await _createMasterKey();
+      const fromKek = await masterKey.generateKey({type: 'kek'});
+      const toKek = await masterKey.rotateKek({kek: fromKek});
+      const otherKek = await masterKey.generateKey({type: 'kek'});
+      const wrappedKey = await otherKek.wrap({key: new Uint8Array(32)});
+      mock.adapter.resetHistory();
+      let err;
+      try {
+        await rewrap({wrappedKey, fromKek, toKek});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.should.be.instanceof(KmsOperationError);
+      err.operationType.should.equal('RewrapKeyOperation');
+      mock.adapter.history.post.should.have.length(1);
+    });
+  });
+
+  describe('Delegated capabilities', () => {
+    async function _assertForbidden(promise, message) {
+      let err;
+      try {
+        await promise;
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.should.be.instanceof(KmsPermissionError);
+      err.message.should.contain(message);
+    }
+
+    async function _delegate({allowedActions = ['unwrapKey'], expires} = {}) {
+      const alice = await _createMasterKey();
+      const bob = await _createMasterKey({accountId: 'bob', secret: 'other'});
+      const kek = await alice.generateKey({type: 'kek'});
+      const wrappedKey = await kek.wrap({key: new Uint8Array(32)});
+      const capability = await alice.delegateCapability({
+        keyId: kek.id, invoker: bob.signer.id, allowedActions, expires
+      });
+      const bobKek = new Kek(
+        {id: kek.id, signer: bob.signer, capability, kmsService});
+      return {alice, bob, kek, bobKek, capability, wrappedKey};
+    }
+
+    it('should let the invoker use a key', async () => {
+      const {alice, bobKek, capability, wrappedKey} = await _delegate();
+      capability.invoker.should.equal(bobKek.signer.id);
+      capability.allowedAction.should.deep.equal(['unwrapKey']);
+      capability.proof.proofPurpose.should.equal('capabilityDelegation');
+      capability.proof.verificationMethod.should.equal(alice.signer.id);
+      (await bobKek.unwrap({wrappedKey})).should.deep.equal(
+        new Uint8Array(32));
+    });
+
+    it('should only allow the delegated actions', async () => {
+      const {bobKek} = await _delegate();
+      await _assertForbidden(
+        bobKek.wrap({key: new Uint8Array(32)}), 'is not allowed');
+    });
+
+    it('should only allow the invoker', async () => {
+      const {kek, capability, wrappedKey} = await _delegate();
+      const {signer} = await _createMasterKey(
+        {accountId: 'carol', secret: 'carol'});
+      const carolKek = new Kek({id: kek.id, signer, capability, kmsService});
+      await _assertForbidden(
+        carolKek.unwrap({wrappedKey}), 'not authorized');
+    });
+
+    it('should not allow an expired capability', async () => {
+      const {bobKek, capability, wrappedKey} = await _delegate(
+        {expires: new Date(Date.now() - 1000)});
+      capability.expires.should.be.a('string');
+      await _assertForbidden(bobKek.unwrap({wrappedKey}), 'has expired');
+    });
+  });
+
+  describe('Key lifecycle', () => {
+    async function _assertKeyState(promise, keyState) {
+      let err;
+      try {
+        await promise;
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.should.be.instanceof(KmsKeyStateError);
+      err.status.should.equal(409);
+      err.keyState.should.equal(keyState);
+    }
+
+    it('should disable and enable a key', async () => {
+      const masterKey = await _createMasterKey();
+      const kek = await masterKey.generateKey({type: 'kek'});
+      kek.state.should.equal('enabled');
+      const key = crypto.getRandomValues(new Uint8Array(32));
+      const wrappedKey = await kek.wrap({key});
+
+      await kek.disable();
+      kek.state.should.equal('disabled');
+      (await masterKey.getKek({id: kek.id})).state.should.equal('disabled');
+      await _assertKeyState(kek.unwrap({wrappedKey}), 'disabled');
+
+      await kek.enable();
+      (await masterKey.getKek({id: kek.id})).state.should.equal('enabled');
+      (await kek.unwrap({wrappedKey})).should.deep.equal(key);
+    });
+
+    it('should permanently revoke a key', async () => {
+      const masterKey = await _createMasterKey();
+      const hmac = await masterKey.generateKey({type: 'hmac'});
+      await hmac.revoke({reason: 'compromised'});
+      hmac.state.should.equal('revoked');
+      const description = await kmsService.getKeyDescription(
+        {keyId: hmac.id, signer: masterKey.signer});
+      description.state.should.equal('revoked');
+      description.revocationReason.should.equal('compromised');
+      description.revoked.should.be.a('string');
+
+      await _assertKeyState(hmac.sign({data: new Uint8Array(1)}), 'revoked');
+      await _assertKeyState(hmac.enable(), 'revoked');
+      hmac.state.should.equal('revoked');
+    });
+
+    it('should delete a key', async () => {
+      const masterKey = await _createMasterKey();
+      const kek = await masterKey.generateKey({type: 'kek'});
+      await kek.delete();
+      kek.state.should.equal('deleted');
+      let err;
+      try {
+        await masterKey.getKek({id: kek.id});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.should.be.instanceof(KmsNotFoundError);
+    });
+
+    it('should enforce lifecycle states in LocalKmsService', async () => {
+      const masterKey = await AccountMasterKey.fromSecret({
+        secret: 'secret', accountId: 'alice',
+        kmsService: new LocalKmsService({storage: 'memory'}),
+        kmsPlugin: KMS_PLUGIN, cache: false
+      });
+      const kek = await masterKey.generateKey({type: 'kek'});
+      const key = crypto.getRandomValues(new Uint8Array(32));
+      const wrappedKey = await kek.wrap({key});
+      await kek.disable();
+      await _assertKeyState(kek.unwrap({wrappedKey}), 'disabled');
+      await kek.enable();
+      await kek.revoke();
+      await _assertKeyState(kek.unwrap({wrappedKey}), 'revoked');
+      await _assertKeyState(kek.enable(), 'revoked');
+    });
+  });
+
+  describe('Hmac', () => {
+    it('should sign and verify data', async () => {
+      const masterKey = await _createMasterKey();
+      const hmac = await masterKey.generateKey({type: 'hmac'});
+      const data = new TextEncoder().encode('hello');
+      const signature = await hmac.sign({data});
+      signature.should.be.a('string');
+      const verified = await hmac.verify({data, signature});
+      verified.should.equal(true);
+    });
+
+    it('should not verify different data', async () => {
+      const masterKey = await _createMasterKey();
+      const hmac = await masterKey.generateKey({type: 'hmac'});
+      const signature = await hmac.sign(
+        {data: new TextEncoder().encode('hello')});
+      const verified = await hmac.verify(
+        {data: new TextEncoder().encode('goodbye'), signature});
+      verified.should.equal(false);
+    });
+
+    it('should generate keys for each HMAC algorithm', async () => {
+      const masterKey = await _createMasterKey();
+      const sizes = {HS256: 32, HS384: 48, HS512: 64};
+      for(const algorithm of Object.keys(sizes)) {
+        const hmac = await masterKey.generateKey(
+          {type: 'hmac', algorithm, version: 'fips'});
+        hmac.algorithm.should.equal(algorithm);
+        const data = new TextEncoder().encode('hello');
+        const signature = await hmac.sign({data});
+        base64url.decode(signature).length.should.equal(sizes[algorithm]);
+        (await hmac.verify({data, signature})).should.equal(true);
+      }
+    });
+
+    it('should reject unsupported HMAC algorithms', async () => {
+      const masterKey = await _createMasterKey();
+      let err;
+      try {
+        await masterKey.generateKey({type: 'hmac', algorithm: 'HS1'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.contain('Unsupported HMAC algorithm');
+      err = null;
+      try {
+        await masterKey.generateKey({type: 'hmac', algorithm: 'HS384'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.contain('"recommended"');
+      err = null;
+      try {
+        await masterKey.generateKey({type: 'kek', algorithm: 'HS256'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.contain('"algorithm"');
+    });
+
+    it('should create blind indexes', async () => {
+      const masterKey = await _createMasterKey();
+      const hmac = await masterKey.generateKey({type: 'hmac'});
+      const index = await hmac.blindIndex({data: 'alice@example.com'});
+      index.should.equal(await hmac.blindIndex(
+        {data: new TextEncoder().encode('alice@example.com')}));
+      base64url.decode(index).length.should.equal(16);
+      index.should.not.equal(
+        await hmac.blindIndex({data: 'bob@example.com'}));
+
+      const hex = await hmac.blindIndex(
+        {data: 'alice@example.com', length: 8, encoding: 'hex'});
+      hex.should.match(/^[0-9a-f]{16}$/);
+      const bytes = base64url.decode(index).subarray(0, 8);
+      hex.match(/../g).map(b => parseInt(b, 16)).should.deep.equal(
+        [...bytes]);
+
+      let err;
+      try {
+        await hmac.blindIndex({data: 'alice@example.com', length: 33});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.should.be.instanceof(RangeError);
+    });
+  });
+
+  describe('AsymmetricKey', () => {
+    it('should sign data with each version', async () => {
+      const masterKey = await _createMasterKey();
+      const algorithms = {recommended: 'EdDSA', fips: 'ES256'};
+      for(const version of Object.keys(algorithms)) {
+        const {id} = await masterKey.generateKey({type: 'asymmetric', version});
+        const key = await masterKey.getAsymmetricKey({id});
+        key.algorithm.should.equal(algorithms[version]);
+        const data = new TextEncoder().encode('hello');
+        const signature = await key.sign({data});
+        const {signer} = masterKey;
+        (await kmsService.verify({keyId: id, data, signature, signer}))
+          .should.equal(true);
+        (await kmsService.verify({
+          keyId: id, data: new TextEncoder().encode('goodbye'), signature,
+          signer
+        })).should.equal(false);
+      }
+    });
+
+    it('should sign a stream', async () => {
+      const masterKey = await _createMasterKey();
+      const key = await masterKey.generateKey({type: 'asymmetric'});
+      const data = new TextEncoder().encode('hello');
+      const signature = await key.signStream({stream: new Blob([data])});
+      const digest = new Uint8Array(
+        await crypto.subtle.digest('SHA-256', data));
+      (await kmsService.verify({
+        keyId: key.id, digest, digestAlgorithm: 'SHA-256', signature,
+        signer: masterKey.signer
+      })).should.equal(true);
+    });
+
+    it('should provide a jsonld-signatures signer', async () => {
+      const masterKey = await _createMasterKey();
+      const key = await masterKey.generateKey({type: 'asymmetric'});
+      const signer = key.getSigner({id: 'did:example:alice#key-1'});
+      signer.id.should.equal('did:example:alice#key-1');
+      const data = new TextEncoder().encode('hello');
+      const signature = await signer.sign({data});
+      signature.should.be.instanceof(Uint8Array);
+      const publicKey = await key.getPublicKey();
+      Object.keys(publicKey).should.have.members(
+        ['id', 'type', 'publicKeyBase58']);
+      publicKey.id.should.equal(key.id);
+      const {publicKeyBase58} = publicKey;
+      const verifier = new Ed25519KeyPair({publicKeyBase58}).verifier();
+      (await verifier.verify({data, signature})).should.equal(true);
+    });
+
+    it('should reject unsupported key types', async () => {
+      let err;
+      try {
+        new AsymmetricKey({id: 'urn:example:key', type: 'UnknownKey2019'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.contain('Unsupported asymmetric key type');
+    });
+  });
+
+  describe('KeyAgreementKey', () => {
+    it('should derive the same secret for both parties', async () => {
+      const alice = await _createMasterKey();
+      const bob = await _createMasterKey({accountId: 'bob'});
+      for(const version of ['recommended', 'fips']) {
+        const aliceKey = await alice.generateKey(
+          {type: 'keyAgreement', version});
+        const {id} = await bob.generateKey({type: 'keyAgreement', version});
+        const bobKey = await bob.getKeyAgreementKey({id});
+        const {type, publicKeyBase58} = await aliceKey.getPublicKey();
+        const secret = await bobKey.deriveSecret(
+          {publicKey: {type, publicKeyBase58}});
+        secret.should.be.instanceof(Uint8Array);
+        secret.length.should.equal(32);
+        const bobPublicKey = await bobKey.getPublicKey();
+        should.not.exist(bobPublicKey.controller);
+        (await aliceKey.deriveSecret({publicKey: {
+          type: bobPublicKey.type,
+          publicKeyBase58: bobPublicKey.publicKeyBase58
+        }})).should.deep.equal(secret);
+      }
+    });
+
+    it('should reject a public key of another type', async () => {
+      const masterKey = await _createMasterKey();
+      const key = await masterKey.generateKey({type: 'keyAgreement'});
+      const fipsKey = await masterKey.generateKey(
+        {type: 'keyAgreement', version: 'fips'});
+      const {type, publicKeyBase58} = await fipsKey.getPublicKey();
+      let err;
+      try {
+        await key.deriveSecret({publicKey: {type, publicKeyBase58}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.should.be.instanceof(KmsOperationError);
+      err.operationType.should.equal('DeriveSecretOperation');
+    });
+  });
+
+  describe('Prehashed and streaming signatures', () => {
+    const data = new TextEncoder().encode('hello world');
+
+    it('should sign a digest instead of the data', async () => {
+      const masterKey = await _createMasterKey();
+      const hmac = await masterKey.generateKey({type: 'hmac'});
+      mock.adapter.resetHistory();
+      const signature = await hmac.sign({data, digestAlgorithm: 'SHA-256'});
+      const operation = JSON.parse(mock.adapter.history.post[0].data);
+      operation.digestAlgorithm.should.equal('SHA-256');
+      const digest = new Uint8Array(
+        await crypto.subtle.digest('SHA-256', data));
+      operation.verifyData.should.equal(base64url.encode(digest));
+
+      (await hmac.verify({data, signature, digestAlgorithm: 'SHA-256'}))
+        .should.equal(true);
+      (await hmac.verify({data, signature})).should.equal(false);
+    });
+
+    it('should sign streams and blobs', async () => {
+      const masterKey = await _createMasterKey();
+      const hmac = await masterKey.generateKey({type: 'hmac'});
+      const expected = await hmac.sign({data, digestAlgorithm: 'SHA-512'});
+
+      const stream = new ReadableStream({
+        start(controller) {
+          controller.enqueue(data.subarray(0, 5));
+          controller.enqueue(data.subarray(5));
+          controller.close();
+        }
+      });
+      (await hmac.signStream({stream, digestAlgorithm: 'SHA-512'}))
+        .should.equal(expected);
+
+      const blob = new Blob([data]);
+      (await hmac.signStream({stream: blob, digestAlgorithm: 'SHA-512'}))
+        .should.equal(expected);
+      (await hmac.verifyStream(
+        {stream: blob, signature: expected, digestAlgorithm: 'SHA-512'}))
+        .should.equal(true);
+    });
+
+    it('should reject unsupported digest algorithms', async () => {
+      const masterKey = await _createMasterKey();
+      const hmac = await masterKey.generateKey({type: 'hmac'});
+      let err;
+      try {
+        await hmac.signStream(
+          {stream: new Blob([data]), digestAlgorithm: 'MD5'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.contain('Unsupported digest algorithm');
+    });
+  });
+
+  describe('Batch operations', () => {
+    it('should unwrap many keys in one request', async () => {
+      const masterKey = await _createMasterKey();
+      const kek = await masterKey.generateKey({type: 'kek'});
+      const keys = [1, 2, 3].map(
+        () => crypto.getRandomValues(new Uint8Array(32)));
+      const wrappedKeys = await Promise.all(keys.map(key => kek.wrap({key})));
+      // a key wrapped by another KEK cannot be unwrapped
+      const otherKek = await masterKey.generateKey({type: 'kek'});
+      wrappedKeys.push(await otherKek.wrap({key: keys[0]}));
+
+      mock.adapter.resetHistory();
+      const results = await kek.unwrapMany({wrappedKeys});
+      mock.adapter.history.post.length.should.equal(1);
+      results.should.have.length(4);
+      for(let i = 0; i < 3; ++i) {
+        results[i].wrappedKey.should.equal(wrappedKeys[i]);
+        results[i].key.should.deep.equal(keys[i]);
+      }
+      should.exist(results[3].error);
+      results[3].error.should.be.instanceof(KmsOperationError);
+      results[3].error.status.should.equal(400);
+    });
+
+    it('should sign many pieces of data', async () => {
+      const masterKey = await _createMasterKey();
+      const hmac = await masterKey.generateKey({type: 'hmac'});
+      const data = ['a', 'b'].map(d => new TextEncoder().encode(d));
+      const results = await hmac.signMany({data});
+      results.should.have.length(2);
+      for(const {data, signature} of results) {
+        (await hmac.verify({data, signature})).should.equal(true);
+      }
+    });
+
+    it('should report keys not controlled by the signer', async () => {
+      const masterKey = await _createMasterKey();
+      const otherMasterKey = await _createMasterKey({secret: 'other'});
+      const hmac = await masterKey.generateKey({type: 'hmac'});
+      const data = new TextEncoder().encode('hello');
+      const results = await kmsService.batch({
+        operations: [{method: 'sign', keyId: hmac.id, data}],
+        signer: otherMasterKey.signer
+      });
+      results[0].error.should.be.instanceof(KmsPermissionError);
+    });
+
+    it('should reject unknown methods', async () => {
+      const {signer} = await _createMasterKey();
+      let err;
+      try {
+        await kmsService.batch(
+          {operations: [{method: 'generateKey'}], signer});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.contain('Unsupported batch operation');
+    });
+
+    it('should reject a response without one result per operation',
+      async () => {
+        const masterKey = await _createMasterKey();
+        const hmac = await masterKey.generateKey({type: 'hmac'});
+        const data = ['a', 'b'].map(d => new TextEncoder().encode(d));
+        const {handle} = mock;
+        mock.handle = async function(options) {
+          const response = await handle.call(this, options);
+          if(options.operation.type === 'BatchOperation') {
+            response.results.pop();
+          }
+          return response;
+        };
+        let err;
+        try {
+          await hmac.signMany({data});
+        } catch(e) {
+          err = e;
+        } finally {
+          delete mock.handle;
+        }
+        should.exist(err);
+        err.should.be.instanceof(KmsServerError);
+        err.operationType.should.equal('BatchOperation');
+      });
+  });
+
+  describe('Shared control', () => {
+    async function _assertThreshold(promise, threshold) {
+      let err;
+      try {
+        await promise;
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.should.be.instanceof(KmsThresholdError);
+      err.should.be.instanceof(KmsPermissionError);
+      err.threshold.should.equal(threshold);
+    }
+
+    it('should let any of several controllers use a key', async () => {
+      const alice = await _createMasterKey();
+      const bob = await _createMasterKey({secret: 'bob'});
+      alice.controllers = [bob.signer.id];
+      const kek = await alice.generateKey({type: 'kek'});
+      const key = crypto.getRandomValues(new Uint8Array(32));
+      const wrappedKey = await kek.wrap({key});
+      const bobKek = await bob.getKek({id: kek.id});
+      (await bobKek.unwrap({wrappedKey})).should.deep.equal(key);
+    });
+
+    it('should require a threshold of signers', async () => {
+      const alice = await _createMasterKey();
+      const bob = await _createMasterKey({secret: 'bob'});
+      const carol = await _createMasterKey({secret: 'carol'});
+      alice.controllers = [bob.signer.id, carol.signer.id];
+      alice.threshold = 2;
+      alice.cosigners = [carol.signer];
+
+      mock.adapter.resetHistory();
+      const hmac = await alice.generateKey({type: 'hmac'});
+      hmac.threshold.should.equal(2);
+      const data = new TextEncoder().encode('hello');
+      const signature = await hmac.sign({data});
+      const {proof} = JSON.parse(mock.adapter.history.post[1].data);
+      proof.should.have.length(2);
+
+      // one signer is not enough
+      const bobHmac = new Hmac({id: hmac.id, kmsService, signer: bob.signer});
+      await _assertThreshold(bobHmac.verify({data, signature}), 2);
+      bobHmac.signer = [bob.signer, carol.signer];
+      (await bobHmac.verify({data, signature})).should.equal(true);
+    });
+
+    it('should reject too few signers when generating a key', async () => {
+      const alice = await _createMasterKey();
+      const bob = await _createMasterKey({secret: 'bob'});
+      alice.controllers = [bob.signer.id];
+      alice.threshold = 2;
+      mock.adapter.resetHistory();
+      await _assertThreshold(alice.generateKey({type: 'kek'}), 2);
+      mock.adapter.history.post.should.have.length(0);
+    });
+
+    it('should keep other controllers when changing a secret', async () => {
+      const alice = await _createMasterKey();
+      const bob = await _createMasterKey({secret: 'bob'});
+      alice.controllers = [bob.signer.id];
+      const kek = await alice.generateKey({type: 'kek'});
+      await alice.changeSecret({oldSecret: 'secret', newSecret: 'new'});
+      const {controller} = await kmsService.getKeyDescription(
+        {keyId: kek.id, signer: bob.signer});
+      controller.should.deep.equal([alice.signer.id, bob.signer.id]);
+    });
+
+    it('should require a threshold in LocalKmsService', async () => {
+      const localKms = new LocalKmsService({storage: 'memory'});
+      const alice = await _createMasterKey();
+      const bob = await _createMasterKey({secret: 'bob'});
+      const keyId = await localKms.generateKey({
+        plugin: KMS_PLUGIN, type: 'Sha256HmacKey2019',
+        signer: [alice.signer, bob.signer], threshold: 2
+      });
+      const data = new TextEncoder().encode('hello');
+      await _assertThreshold(
+        localKms.sign({keyId, data, signer: alice.signer}), 2);
+      const signature = await localKms.sign(
+        {keyId, data, signer: [alice.signer, bob.signer]});
+      signature.should.be.a('string');
+    });
+  });
+
+  describe('KmsService', () => {
+    let signer;
+    beforeEach(async () => {
+      ({signer} = await _createMasterKey());
+    });
+
+    async function _assertTypeError(promise, name) {
+      let err;
+      try {
+        await promise;
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.should.be.instanceof(TypeError);
+      err.message.should.contain(`"${name}"`);
+    }
+
+    it('should reject generateKey without a plugin', async () => {
+      await _assertTypeError(kmsService.generateKey(
+        {type: 'AesKeyWrappingKey2019', signer}), 'plugin');
+    });
+
+    it('should reject generateKey without a type', async () => {
+      await _assertTypeError(kmsService.generateKey(
+        {plugin: KMS_PLUGIN, signer}), 'type');
+    });
+
+    it('should reject generateKey without a signer', async () => {
+      await _assertTypeError(kmsService.generateKey(
+        {plugin: KMS_PLUGIN, type: 'AesKeyWrappingKey2019'}), 'signer');
+    });
+
+    it('should reject wrapKey with a non-Uint8Array key', async () => {
+      await _assertTypeError(kmsService.wrapKey(
+        {key: 'key', kekId: 'urn:kek', signer}), 'key');
+    });
+
+    it('should reject unwrapKey with a non-string wrapped key', async () => {
+      await _assertTypeError(kmsService.unwrapKey(
+        {wrappedKey: new Uint8Array(32), kekId: 'urn:kek', signer}),
+      'wrappedKey');
+    });
+
+    it('should reject sign without data', async () => {
+      await _assertTypeError(kmsService.sign(
+        {keyId: 'urn:hmac', signer}), 'data');
+    });
+
+    it('should reject verify without a signature', async () => {
+      await _assertTypeError(kmsService.verify(
+        {keyId: 'urn:hmac', data: new Uint8Array(1), signer}), 'signature');
+    });
+
+    it('should use an absolute base URL', async () => {
+      const base = 'https://kms.example.com/kms/';
+      const service = new KmsService({urls: {base}, retries: 0});
+      const keyId = await service.generateKey(
+        {plugin: KMS_PLUGIN, type: 'AesKeyWrappingKey2019', signer});
+      keyId.should.match(/^https:\/\/kms\.example\.com\/kms\/mock\//);
+      const key = crypto.getRandomValues(new Uint8Array(32));
+      const wrappedKey = await service.wrapKey({key, kekId: keyId, signer});
+      (await service.unwrapKey({wrappedKey, kekId: keyId, signer}))
+        .should.deep.equal(key);
+    });
+
+    it('should reject an operation on an unknown key', async () => {
+      const keyId = `${window.location.origin}/kms/${KMS_PLUGIN}/unknown`;
+      let err;
+      try {
+        await kmsService.wrapKey(
+          {key: new Uint8Array(32), kekId: keyId, signer});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.should.be.instanceof(KmsNotFoundError);
+      err.status.should.equal(404);
+      err.keyId.should.equal(keyId);
+    });
+
+    it('should get a key description', async () => {
+      const keyId = await kmsService.generateKey(
+        {plugin: KMS_PLUGIN, type: 'Sha256HmacKey2019', signer});
+      const description = await kmsService.getKeyDescription({keyId, signer});
+      description.id.should.equal(keyId);
+      description.type.should.equal('Sha256HmacKey2019');
+      description.controller.should.equal(signer.id);
+    });
+
+    it('should list the keys controlled by a signer', async () => {
+      const kekId = await kmsService.generateKey(
+        {plugin: KMS_PLUGIN, type: 'AesKeyWrappingKey2019', signer});
+      const hmacId = await kmsService.generateKey(
+        {plugin: KMS_PLUGIN, type: 'Sha256HmacKey2019', signer});
+      const {signer: other} = await _createMasterKey({secret: 'other'});
+      await kmsService.generateKey(
+        {plugin: KMS_PLUGIN, type: 'Sha256HmacKey2019', signer: other});
+
+      const keys = await kmsService.listKeys({plugin: KMS_PLUGIN, signer});
+      keys.map(({id}) => id).should.have.members([kekId, hmacId]);
+      const filtered = await kmsService.listKeys({
+        plugin: KMS_PLUGIN,
+        signer,
+        filter: {type: 'AesKeyWrappingKey2019'}
+      });
+      filtered.map(({id}) => id).should.deep.equal([kekId]);
+    });
+
+    it('should only use the KMS context when an operation needs it',
+      async () => {
+        const contexts = {};
+        const {handle} = mock;
+        mock.handle = function(options) {
+          contexts[options.operation.type] = options.operation['@context'];
+          return handle.call(this, options);
+        };
+        try {
+          const keyId = await kmsService.generateKey(
+            {plugin: KMS_PLUGIN, type: 'AesKeyWrappingKey2019', signer});
+          await kmsService.wrapKey(
+            {key: new Uint8Array(32), kekId: keyId, signer});
+          await kmsService.listKeys({plugin: KMS_PLUGIN, signer});
+        } finally {
+          delete mock.handle;
+        }
+        const v2 = 'https://w3id.org/security/v2';
+        contexts.GenerateKeyOperation.should.equal(v2);
+        contexts.WrapKeyOperation.should.equal(v2);
+        contexts.ListKeysOperation.should.deep.equal(
+          [v2, 'urn:bedrock-web-kms:context:v1']);
+      });
+  });
+
+  describe('KmsService retries and errors', () => {
+    let signer;
+    let kekId;
+    beforeEach(async () => {
+      ({signer} = await _createMasterKey());
+      kekId = await kmsService.generateKey(
+        {plugin: KMS_PLUGIN, type: 'AesKeyWrappingKey2019', signer});
+      kmsService = new KmsService({timeout: 50, retries: 2, retryDelay: 1});
+      mock.adapter.resetHistory();
+    });
+
+    async function _getError(promise) {
+      try {
+        await promise;
+      } catch(e) {
+        return e;
+      }
+      throw new Error('Expected the operation to fail.');
+    }
+
+    it('should retry idempotent operations', async () => {
+      const events = [];
+      kmsService.on('after', event => events.push(event));
+      mock.failures.push(503, 'network');
+      const wrappedKey = await kmsService.wrapKey(
+        {key: new Uint8Array(32), kekId, signer});
+      wrappedKey.should.be.a('string');
+      mock.adapter.history.post.should.have.length(3);
+      events[0].attempts.should.equal(3);
+    });
+
+    it('should stop retrying after "retries"', async () => {
+      mock.failures.push(503, 503, 503);
+      const err = await _getError(
+        kmsService.wrapKey({key: new Uint8Array(32), kekId, signer}));
+      err.should.be.instanceof(KmsServerError);
+      err.status.should.equal(503);
+      err.operationType.should.equal('WrapKeyOperation');
+      err.keyId.should.equal(kekId);
+      err.details.message.should.equal('Failed with status 503.');
+      mock.adapter.history.post.should.have.length(3);
+    });
+
+    it('should not retry other operations or failures', async () => {
+      mock.failures.push(503);
+      const err = await _getError(kmsService.generateKey(
+        {plugin: KMS_PLUGIN, type: 'AesKeyWrappingKey2019', signer}));
+      err.should.be.instanceof(KmsServerError);
+      mock.adapter.history.post.should.have.length(1);
+
+      mock.failures.push(501);
+      (await _getError(
+        kmsService.wrapKey({key: new Uint8Array(32), kekId, signer})))
+        .should.be.instanceof(KmsServerError);
+      mock.failures.push(400);
+      (await _getError(
+        kmsService.wrapKey({key: new Uint8Array(32), kekId, signer})))
+        .should.be.instanceof(KmsOperationError);
+      mock.adapter.history.post.should.have.length(3);
+    });
+
+    it('should time out operations', async () => {
+      mock.failures.push('timeout', 'timeout', 'timeout');
+      const err = await _getError(
+        kmsService.wrapKey({key: new Uint8Array(32), kekId, signer}));
+      err.should.be.instanceof(KmsNetworkError);
+      should.not.exist(err.status);
+      err.message.should.contain('timeout of 50ms exceeded');
+      err.cause.code.should.equal('ECONNABORTED');
+      mock.adapter.history.post.forEach(
+        ({timeout}) => timeout.should.equal(50));
+      mock.adapter.history.post.should.have.length(3);
+    });
+
+    it('should reject with an error for each status', async () => {
+      const errors = {
+        400: KmsOperationError,
+        401: KmsPermissionError,
+        403: KmsPermissionError,
+        404: KmsNotFoundError,
+        500: KmsServerError
+      };
+      kmsService = new KmsService({retries: 0});
+      for(const status of Object.keys(errors)) {
+        mock.failures.push(Number(status));
+        const err = await _getError(
+          kmsService.wrapKey({key: new Uint8Array(32), kekId, signer}));
+        err.should.be.instanceof(errors[status]);
+        err.should.be.instanceof(KmsError);
+        err.name.should.equal(errors[status].name);
+        err.status.should.equal(Number(status));
+      }
+    });
+  });
+
+  describe('KmsService plugin discovery', () => {
+    let signer;
+    beforeEach(async () => {
+      ({signer} = await _createMasterKey());
+    });
+
+    async function _assertRejected(promise, message) {
+      let err;
+      try {
+        await promise;
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.contain(message);
+    }
+
+    it('should get and cache the available plugins', async () => {
+      mock.adapter.resetHistory();
+      const plugins = await kmsService.getPlugins();
+      plugins.should.have.length(1);
+      plugins[0].id.should.equal(KMS_PLUGIN);
+      plugins[0].fips.should.equal(true);
+      plugins[0].keyTypes.should.deep.include(
+        {type: 'AesKeyWrappingKey2019', algorithm: 'A256KW'});
+      await kmsService.getPlugins();
+      mock.adapter.history.get.should.have.length(1);
+      await kmsService.getPlugins({refresh: true});
+      mock.adapter.history.get.should.have.length(2);
+    });
+
+    it('should find a plugin for a key type', async () => {
+      (await kmsService.findPlugin({type: 'Sha256HmacKey2019'}))
+        .should.equal(KMS_PLUGIN);
+      await _assertRejected(
+        kmsService.findPlugin({type: 'UnknownKey2019'}),
+        'No KMS plugin supports');
+    });
+
+    it('should validate the plugin and type of new keys', async () => {
+      mock.adapter.resetHistory();
+      await _assertRejected(kmsService.generateKey(
+        {plugin: 'unknown', type: 'AesKeyWrappingKey2019', signer}),
+      'is not available');
+      await _assertRejected(kmsService.generateKey(
+        {plugin: KMS_PLUGIN, type: 'UnknownKey2019', signer}),
+      'does not support key type');
+      mock.adapter.history.post.should.have.length(0);
+    });
+
+    it('should require a FIPS-compliant plugin for fips keys', async () => {
+      mock.plugins = [{...mock.plugins[0], fips: false}];
+      const masterKey = await _createMasterKey();
+      await _assertRejected(
+        masterKey.generateKey({type: 'kek', version: 'fips'}),
+        'is not FIPS compliant');
+      await masterKey.generateKey({type: 'kek'});
+    });
+
+    it('should skip validation without plugin discovery', async () => {
+      mock.plugins = null;
+      mock.adapter.resetHistory();
+      const keyId = await kmsService.generateKey(
+        {plugin: KMS_PLUGIN, type: 'AesKeyWrappingKey2019', signer});
+      keyId.should.be.a('string');
+      await kmsService.generateKey(
+        {plugin: KMS_PLUGIN, type: 'AesKeyWrappingKey2019', signer});
+      mock.adapter.history.get.should.have.length(1);
+    });
+
+    it('should skip validation if plugin discovery fails', async () => {
+      mock.plugins = new Error('Network Error');
+      mock.adapter.resetHistory();
+      const keyId = await kmsService.generateKey(
+        {plugin: KMS_PLUGIN, type: 'AesKeyWrappingKey2019', signer});
+      keyId.should.be.a('string');
+
+      // discovery is tried again once the KMS can be reached
+      mock.plugins = [];
+      await _assertRejected(kmsService.generateKey(
+        {plugin: KMS_PLUGIN, type: 'AesKeyWrappingKey2019', signer}),
+      'is not available');
+      mock.adapter.history.get.should.have.length(2);
+    });
+
+    it('should generate asymmetric and key agreement keys', async () => {
+      const masterKey = await _createMasterKey();
+      for(const version of ['recommended', 'fips']) {
+        const key = await masterKey.generateKey(
+          {type: 'asymmetric', version});
+        key.should.be.instanceof(AsymmetricKey);
+        const {publicKeyBase58} = await key.getPublicKey();
+        publicKeyBase58.should.be.a('string');
+        const keyAgreementKey = await masterKey.generateKey(
+          {type: 'keyAgreement', version});
+        keyAgreementKey.should.be.instanceof(KeyAgreementKey);
+      }
+    });
+  });
+
+  describe('KmsService HTTP Signatures', () => {
+    beforeEach(() => {
+      kmsService = new KmsService(
+        {retries: 0, authorization: 'httpSignature'});
+    });
+
+    it('should sign requests with HTTP Signatures', async () => {
+      const masterKey = await _createMasterKey();
+      const kek = await masterKey.generateKey({type: 'kek'});
+      mock.adapter.resetHistory();
+      const key = crypto.getRandomValues(new Uint8Array(32));
+      const wrappedKey = await kek.wrap({key});
+      (await kek.unwrap({wrappedKey})).should.deep.equal(key);
+
+      const [{data, headers}] = mock.adapter.history.post;
+      should.not.exist(JSON.parse(data).proof);
+      headers.authorization.should.contain(`keyId="${masterKey.signer.id}"`);
+      headers.authorization.should.contain(
+        'headers="(request-target) (created) (expires) host ' +
+        'capability-invocation digest"');
+      const [, created, expires] = headers.authorization.match(
+        /created=(\d+),expires=(\d+)/);
+      (expires - created).should.equal(300);
+      headers['capability-invocation'].should.equal(
+        `zcap id="${kek.id}",action="wrapKey"`);
+      headers.digest.should.match(/^SHA-256=/);
+    });
+
+    it('should reject expired HTTP Signatures', async () => {
+      const masterKey = await _createMasterKey();
+      const kek = await masterKey.generateKey({type: 'kek'});
+      // the request is received after the signature expires
+      const {now} = Date;
+      const {handle} = mock;
+      mock.handle = function(options) {
+        Date.now = () => now() + 600 * 1000;
+        return handle.call(this, options);
+      };
+      let err;
+      try {
+        await kek.wrap({key: new Uint8Array(32)});
+      } catch(e) {
+        err = e;
+      } finally {
+        Date.now = now;
+        delete mock.handle;
+      }
+      should.exist(err);
+      err.should.be.instanceof(KmsPermissionError);
+      err.message.should.contain('expired');
+    });
+
+    it('should list keys and perform batch operations', async () => {
+      const masterKey = await _createMasterKey();
+      const hmac = await masterKey.generateKey({type: 'hmac'});
+      const keys = await kmsService.listKeys(
+        {plugin: KMS_PLUGIN, signer: masterKey.signer});
+      keys.map(({id}) => id).should.include(hmac.id);
+      const signatures = await hmac.signMany(
+        {data: [new Uint8Array([1]), new Uint8Array([2])]});
+      signatures.should.have.length(2);
+      signatures.forEach(({signature}) => signature.should.be.a('string'));
+    });
+
+    it('should not allow another master key to use a key', async () => {
+      const masterKey1 = await _createMasterKey();
+      const masterKey2 = await _createMasterKey({secret: 'other'});
+      const {id} = await masterKey1.generateKey({type: 'kek'});
+      const kek = new Kek({id, signer: masterKey2.signer, kmsService});
+      let err;
+      try {
+        await kek.wrap({key: new Uint8Array(32)});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.should.be.instanceof(KmsPermissionError);
+    });
+
+    it('should reject several signers', async () => {
+      const alice = await _createMasterKey();
+      const bob = await _createMasterKey({secret: 'bob'});
+      let err;
+      try {
+        await kmsService.generateKey({
+          plugin: KMS_PLUGIN,
+          type: 'AesKeyWrappingKey2019',
+          signer: [alice.signer, bob.signer]
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.contain('single signer');
+    });
+
+    it('should reject unsupported authorization schemes', () => {
+      (() => new KmsService({authorization: 'bearer'}))
+        .should.throw('Unsupported authorization');
+    });
+  });
+
+  describe('KmsService events', () => {
+    it('should emit events without key material', async () => {
+      const masterKey = await _createMasterKey();
+      const kek = await masterKey.generateKey({type: 'kek'});
+      const events = [];
+      const listener = event => events.push(event);
+      kmsService.on('before', listener);
+      kmsService.on('after', listener);
+      kmsService.on('error', listener);
+
+      const key = crypto.getRandomValues(new Uint8Array(32));
+      const wrappedKey = await kek.wrap({key});
+      try {
+        await kek.unwrap({wrappedKey: 'invalid'});
+      } catch(e) {}
+
+      events.map(({type}) => type).should.deep.equal(
+        ['before', 'after', 'before', 'error']);
+      const [, after, , error] = events;
+      after.operationType.should.equal('WrapKeyOperation');
+      after.keyId.should.equal(kek.id);
+      after.invoker.should.equal(masterKey.signer.id);
+      after.result.should.equal('success');
+      after.status.should.equal(200);
+      after.duration.should.be.a('number');
+      error.operationType.should.equal('UnwrapKeyOperation');
+      error.result.should.equal('error');
+      error.status.should.equal(400);
+      error.error.name.should.equal('KmsOperationError');
+      const serialized = JSON.stringify(events);
+      serialized.should.not.contain(wrappedKey);
+
+      kmsService.off('after', listener);
+      await kek.wrap({key});
+      events.map(({type}) => type).should.deep.equal(
+        ['before', 'after', 'before', 'error', 'before']);
+    });
+
+    it('should emit an error if an operation cannot be signed', async () => {
+      kmsService = new KmsService(
+        {retries: 0, authorization: 'httpSignature'});
+      const alice = await _createMasterKey();
+      const bob = await _createMasterKey({secret: 'bob'});
+      const events = [];
+      kmsService.on('error', event => events.push(event));
+      try {
+        await kmsService.generateKey({
+          plugin: KMS_PLUGIN,
+          type: 'AesKeyWrappingKey2019',
+          signer: [alice.signer, bob.signer]
+        });
+      } catch(e) {}
+      events.should.have.length(1);
+      const [event] = events;
+      event.operationType.should.equal('GenerateKeyOperation');
+      event.result.should.equal('error');
+      event.attempts.should.equal(0);
+      event.error.message.should.contain('single signer');
+    });
+
+    it('should report errors thrown by listeners', async () => {
+      const contextError = new Error('No context.');
+      kmsService = new KmsService({
+        retries: 0,
+        getAuditContext: () => {
+          throw contextError;
+        }
+      });
+      const listenerError = new Error('Listener failed.');
+      kmsService.on('before', () => {
+        throw listenerError;
+      });
+      const events = [];
+      kmsService.on('error', event => events.push(event));
+      const masterKey = await _createMasterKey();
+      await masterKey.generateKey({type: 'kek'});
+      events.should.have.length(2);
+      events[0].error.should.equal(contextError);
+      events[1].error.should.equal(listenerError);
+      events[1].event.type.should.equal('before');
+      events[1].event.operationType.should.equal('GenerateKeyOperation');
+      should.not.exist(events[1].result);
+    });
+
+    it('should record operations in an audit log', async () => {
+      const auditLog = new AuditLog();
+      kmsService = new KmsService({
+        retries: 0, auditLog, getAuditContext: () => ({action: 'test'})
+      });
+      const masterKey = await _createMasterKey();
+      const kek = await masterKey.generateKey({type: 'kek'});
+      const hmac = await masterKey.generateKey({type: 'hmac'});
+      await kek.wrap({key: crypto.getRandomValues(new Uint8Array(32))});
+      await hmac.sign({data: new Uint8Array(1)});
+
+      const entries = await auditLog.query();
+      entries.should.have.length(4);
+      entries[0].context.should.deep.equal({action: 'test'});
+      const kekEntries = await auditLog.query({keyId: kek.id});
+      kekEntries.should.have.length(2);
+      const signEntries = await auditLog.query(
+        {operationType: 'SignOperation', result: 'success'});
+      signEntries.should.have.length(1);
+      signEntries[0].keyId.should.equal(hmac.id);
+      JSON.parse(await auditLog.export()).should.deep.equal(entries);
+
+      await auditLog.clear();
+      (await auditLog.query()).should.have.length(0);
+    });
+
+    it('should batch audit log writes and reject failed ones', async () => {
+      const values = new Map();
+      let writes = 0;
+      let error;
+      const storage = {
+        get: async key => values.has(key) ?
+          JSON.parse(values.get(key)) : undefined,
+        set: async (key, value) => {
+          ++writes;
+          if(error) {
+            throw error;
+          }
+          values.set(key, JSON.stringify(value));
+        },
+        remove: async key => values.delete(key)
+      };
+      const auditLog = new AuditLog({storage});
+      await Promise.all([1, 2, 3].map(n => auditLog.add({n})));
+      writes.should.equal(1);
+
+      error = new Error('Storage is full.');
+      let err;
+      try {
+        await auditLog.add({n: 4});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.should.equal(error);
+
+      // a failed write does not stop later ones
+      error = null;
+      await auditLog.add({n: 5});
+      (await auditLog.query()).map(({n}) => n).should.deep.equal([1, 2, 3, 5]);
+
+      // KmsService reports entries it could not add
+      error = new Error('Storage is full.');
+      kmsService = new KmsService({retries: 0, auditLog});
+      const reported = new Promise(resolve => kmsService.on('error', resolve));
+      const masterKey = await _createMasterKey();
+      await masterKey.generateKey({type: 'kek'});
+      const event = await reported;
+      event.error.should.equal(error);
+      event.event.operationType.should.equal('GenerateKeyOperation');
+    });
+
+    it('should keep an IndexedDB audit log in its own store', async () => {
+      const auditLog = new AuditLog({storage: 'indexedDB'});
+      await auditLog.clear();
+      kmsService = new KmsService({retries: 0, auditLog});
+      const masterKey = await _createMasterKey();
+      await masterKey.generateKey({type: 'kek'});
+      (await auditLog.query()).should.have.length(1);
+
+      const key = 'bedrock-web-kms-audit-log';
+      const seedCacheStore = new IndexedDbStorage();
+      should.not.exist(await seedCacheStore.get(key));
+      const auditLogStore = new IndexedDbStorage({storeName: 'audit-log'});
+      (await auditLogStore.get(key)).should.have.length(1);
+      await auditLog.clear();
+    });
+  });
+
+  describe('LocalKmsService', () => {
+    async function _createLocalMasterKey(
+      {secret = 'secret', storage = 'memory', localKmsService} = {}) {
+      return AccountMasterKey.fromSecret({
+        secret, accountId: 'alice',
+        kmsService: localKmsService || new LocalKmsService({storage}),
+        kmsPlugin: KMS_PLUGIN, cache: false
+      });
+    }
+
+    it('should wrap and unwrap a key without a server', async () => {
+      const masterKey = await _createLocalMasterKey();
+      mock.adapter.resetHistory();
+      const kek = await masterKey.generateKey({type: 'kek'});
+      const key = crypto.getRandomValues(new Uint8Array(32));
+      const wrappedKey = await kek.wrap({key});
+      (await kek.unwrap({wrappedKey})).should.deep.equal(key);
+      const [result] = await kek.unwrapMany({wrappedKeys: [wrappedKey]});
+      result.key.should.deep.equal(key);
+      mock.adapter.history.post.length.should.equal(0);
+    });
+
+    it('should sign and verify data', async () => {
+      const masterKey = await _createLocalMasterKey();
+      const hmac = await masterKey.generateKey({type: 'hmac'});
+      const data = new TextEncoder().encode('hello');
+      const signature = await hmac.sign({data});
+      (await hmac.verify({data, signature})).should.equal(true);
+    });
+
+    it('should only allow controllers to use keys', async () => {
+      const localKmsService = new LocalKmsService({storage: 'memory'});
+      const masterKey = await _createLocalMasterKey({localKmsService});
+      const otherMasterKey = await _createLocalMasterKey(
+        {secret: 'other', localKmsService});
+      const kek = await masterKey.generateKey({type: 'kek'});
+      let err;
+      try {
+        await otherMasterKey.getKek({id: kek.id});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.should.be.instanceof(KmsPermissionError);
+    });
+
+    it('should reject signers that only claim a controller ID', async () => {
+      const localKmsService = new LocalKmsService({storage: 'memory'});
+      const masterKey = await _createLocalMasterKey({localKmsService});
+      const otherMasterKey = await _createLocalMasterKey(
+        {secret: 'other', localKmsService});
+      const kek = await masterKey.generateKey({type: 'kek'});
+      const signers = [
+        {id: masterKey.signer.id},
+        {id: masterKey.signer.id, sign: otherMasterKey.signer.sign}
+      ];
+      for(const signer of signers) {
+        let err;
+        try {
+          await localKmsService.getKeyDescription({keyId: kek.id, signer});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.should.be.instanceof(KmsPermissionError);
+      }
+    });
+
+    it('should only generate keys controlled by a signer', async () => {
+      const localKmsService = new LocalKmsService({storage: 'memory'});
+      const masterKey = await _createLocalMasterKey({localKmsService});
+      const otherMasterKey = await _createLocalMasterKey(
+        {secret: 'other', localKmsService});
+      let err;
+      try {
+        await localKmsService.generateKey({
+          plugin: KMS_PLUGIN,
+          type: 'AesKeyWrappingKey2019',
+          signer: masterKey.signer,
+          controller: otherMasterKey.signer.id
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.should.be.instanceof(KmsPermissionError);
+    });
+
+    it('should reject a rewrap that cannot be wrapped', async () => {
+      const localKmsService = new LocalKmsService({storage: 'memory'});
+      const masterKey = await _createLocalMasterKey({localKmsService});
+      const kek = await masterKey.generateKey({type: 'kek'});
+      const destination = await masterKey.generateKey({type: 'kek'});
+      const wrappedKey = await kek.wrap(
+        {key: crypto.getRandomValues(new Uint8Array(32))});
+      crypto.subtle.wrapKey = async () => {
+        throw new Error('Wrapping failed.');
+      };
+      let err;
+      try {
+        await localKmsService.rewrapKey({
+          wrappedKey, kekId: kek.id, destinationKekId: destination.id,
+          signer: masterKey.signer
+        });
+      } catch(e) {
+        err = e;
+      } finally {
+        delete crypto.subtle.wrapKey;
+      }
+      should.exist(err);
+      err.should.be.instanceof(KmsOperationError);
+      err.keyId.should.equal(destination.id);
+    });
+
+    it('should persist keys in IndexedDB', async () => {
+      const masterKey = await _createLocalMasterKey({storage: 'indexedDB'});
+      const kek = await masterKey.generateKey({type: 'kek'});
+      const key = crypto.getRandomValues(new Uint8Array(32));
+      const wrappedKey = await kek.wrap({key});
+
+      const reloaded = await _createLocalMasterKey({storage: 'indexedDB'});
+      const reloadedKek = await reloaded.getKek({id: kek.id});
+      (await reloadedKek.unwrap({wrappedKey})).should.deep.equal(key);
+    });
+
+    it('should transfer keys to a new secret', async () => {
+      const localKmsService = new LocalKmsService({storage: 'memory'});
+      const masterKey = await _createLocalMasterKey({localKmsService});
+      const {id} = await masterKey.generateKey({type: 'hmac'});
+      await masterKey.changeSecret(
+        {oldSecret: 'secret', newSecret: 'new', cache});
+      const newMasterKey = await _createLocalMasterKey(
+        {secret: 'new', localKmsService});
+      await newMasterKey.getHmac({id});
+    });
+  });
+});
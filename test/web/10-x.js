@@ -1,10 +0,0 @@
-/*!
- * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
- */
-import {x} from 'bedrock-web-kms';
-import {mock} from './mock.js';
-
-describe('x', () => {
-  it('x', async () => {
-  });
-});
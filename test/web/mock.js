@@ -0,0 +1,638 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+import {KMS_CONTEXT, KMS_CONTEXT_URL} from 'bedrock-web-kms';
+import axios from 'axios';
+import base64url from 'base64url-universal';
+import cryptoLd from 'crypto-ld';
+import jsigs from 'jsonld-signatures';
+import MockAdapter from 'axios-mock-adapter';
+import {CapabilityInvocation} from 'ocapld';
+
+const {Ed25519KeyPair} = cryptoLd;
+const {SECURITY_CONTEXT_V2_URL, extendContextLoader, suites} = jsigs;
+const {Ed25519Signature2018} = suites;
+
+const KEY_ID_PREFIX = 'urn:bedrock-web-kms:key:';
+
+// the headers an HTTP Signature must sign
+const SIGNED_HEADERS = [
+  '(request-target)', '(created)', '(expires)', 'host',
+  'capability-invocation', 'digest'
+];
+
+// how far, in seconds, the clocks of the client and the mock may differ
+const CLOCK_SKEW = 60;
+
+// the plugins reported by plugin discovery
+const PLUGINS = [{
+  id: 'mock',
+  fips: true,
+  keyTypes: [
+    {type: 'AesKeyWrappingKey2019', algorithm: 'A256KW'},
+    {type: 'Sha256HmacKey2019', algorithm: 'HS256'},
+    {type: 'Sha384HmacKey2019', algorithm: 'HS384'},
+    {type: 'Sha512HmacKey2019', algorithm: 'HS512'},
+    {type: 'Ed25519VerificationKey2018', algorithm: 'EdDSA'},
+    {type: 'EcdsaSecp256r1VerificationKey2019', algorithm: 'ES256'},
+    {type: 'X25519KeyAgreementKey2019', algorithm: 'ECDH-ES'},
+    {type: 'EcdhSecp256r1KeyAgreementKey2019', algorithm: 'ECDH-ES'}
+  ]
+}];
+
+// WebCrypto parameters for the secret key types supported by the mock
+const KEY_TYPES = {
+  AesKeyWrappingKey2019: {
+    algorithm: {name: 'AES-KW', length: 256},
+    usages: ['wrapKey', 'unwrapKey']
+  },
+  Sha256HmacKey2019: {
+    algorithm: {name: 'HMAC', hash: {name: 'SHA-256'}},
+    usages: ['sign', 'verify']
+  },
+  Sha384HmacKey2019: {
+    algorithm: {name: 'HMAC', hash: {name: 'SHA-384'}},
+    usages: ['sign', 'verify']
+  },
+  Sha512HmacKey2019: {
+    algorithm: {name: 'HMAC', hash: {name: 'SHA-512'}},
+    usages: ['sign', 'verify']
+  }
+};
+
+// WebCrypto parameters for the key pair types supported by the mock; the
+// public key of a key pair is included in its description
+const KEY_PAIR_TYPES = {
+  Ed25519VerificationKey2018: {
+    algorithm: {name: 'Ed25519'},
+    usages: ['sign', 'verify'],
+    signature: {name: 'Ed25519'}
+  },
+  EcdsaSecp256r1VerificationKey2019: {
+    algorithm: {name: 'ECDSA', namedCurve: 'P-256'},
+    usages: ['sign', 'verify'],
+    signature: {name: 'ECDSA', hash: {name: 'SHA-256'}}
+  },
+  X25519KeyAgreementKey2019: {
+    algorithm: {name: 'X25519'},
+    usages: ['deriveBits']
+  },
+  EcdhSecp256r1KeyAgreementKey2019: {
+    algorithm: {name: 'ECDH', namedCurve: 'P-256'},
+    usages: ['deriveBits']
+  }
+};
+
+const BASE58_ALPHABET =
+  '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// raw keys are carried through WebCrypto's wrap/unwrap as HMAC keys because
+// those may be imported from raw bytes of any length
+const RAW_KEY_ALGORITHM = {name: 'HMAC', hash: {name: 'SHA-256'}};
+
+// the state each lifecycle operation puts a key in
+const LIFECYCLE_STATES = {
+  DisableKeyOperation: 'disabled',
+  EnableKeyOperation: 'enabled',
+  RevokeKeyOperation: 'revoked'
+};
+
+/**
+ * An in-process KMS that intercepts the operations `KmsService` posts via
+ * axios. Every operation's capability invocation proof is verified before it
+ * is run.
+ *
+ * @example
+ * const mock = new MockKms();
+ * // ... use `AccountMasterKey`, `Kek`, `Hmac` and `KmsService` as usual
+ * mock.restore();
+ */
+export class MockKms {
+  constructor() {
+    this.keys = new Map();
+    this.plugins = PLUGINS;
+    // add operation types to act as a KMS that does not implement them
+    this.unsupported = new Set();
+    // add HTTP statuses, `network` or `timeout` to fail the next operations
+    // with, in order
+    this.failures = [];
+    this.adapter = new MockAdapter(axios);
+    // set `plugins` to `null` to act as a KMS without plugin discovery or to
+    // an error to act as a KMS that cannot be reached
+    this.adapter.onGet(/\/plugins$/).reply(async () => {
+      if(this.plugins instanceof Error) {
+        throw this.plugins;
+      }
+      return this.plugins ?
+        [200, {plugins: this.plugins}] : [404, {message: 'Not found.'}];
+    });
+    this.adapter.onPost().reply(async config => {
+      const failure = this.failures.shift();
+      if(failure === 'network') {
+        throw new Error('Network Error');
+      }
+      if(failure === 'timeout') {
+        const error = new Error(`timeout of ${config.timeout}ms exceeded`);
+        error.code = 'ECONNABORTED';
+        throw error;
+      }
+      if(failure) {
+        return [failure, {message: `Failed with status ${failure}.`}];
+      }
+      try {
+        return [200, await this.handle({
+          url: config.url,
+          operation: JSON.parse(config.data),
+          request: {headers: config.headers, body: config.data}
+        })];
+      } catch(e) {
+        return [e.status || 500, _errorDetails(e)];
+      }
+    });
+  }
+
+  /**
+   * Removes all keys from the mock.
+   */
+  reset() {
+    this.keys.clear();
+    this.plugins = PLUGINS;
+    this.unsupported.clear();
+    this.failures = [];
+  }
+
+  /**
+   * Stops intercepting requests.
+   */
+  restore() {
+    this.adapter.restore();
+  }
+
+  async handle({url, operation, request = {}}) {
+    const {type} = operation;
+    if(this.unsupported.has(type)) {
+      throw _error({status: 501, message: `"${type}" is not implemented.`});
+    }
+    if(type === 'GenerateKeyOperation') {
+      return this._generateKey({url, operation, request});
+    }
+    if(type === 'ListKeysOperation') {
+      return this._listKeys({url, operation, request});
+    }
+    if(type === 'BatchOperation') {
+      return this._batch({url, operation, request});
+    }
+
+    const key = this._getKey({id: url});
+    const {controller, threshold} = key.description;
+    await this._verifyInvocation(
+      {url, operation, request, controller, threshold});
+    return this._runOperation({key, operation});
+  }
+
+  async _runOperation({key, operation}) {
+    const {type} = operation;
+    const {id, state = 'enabled'} = key.description;
+    if(type === 'GetKeyDescriptionOperation') {
+      return key.description;
+    }
+    if(type === 'UpdateKeyControllerOperation') {
+      const {threshold = 1} = key.description;
+      if(_toArray(operation.controller).length < threshold) {
+        throw _error({status: 400, message: 'Too few controllers.'});
+      }
+      key.controller = key.description.controller = operation.controller;
+      return {};
+    }
+    if(type === 'DeleteKeyOperation') {
+      this.keys.delete(id);
+      return {};
+    }
+    if(LIFECYCLE_STATES[type]) {
+      if(state === 'revoked') {
+        throw _keyStateError({id, state});
+      }
+      key.description.state = LIFECYCLE_STATES[type];
+      if(type === 'RevokeKeyOperation') {
+        key.description.revoked = new Date().toISOString();
+        if(operation.reason) {
+          key.description.revocationReason = operation.reason;
+        }
+      }
+      return {};
+    }
+    if(state !== 'enabled') {
+      throw _keyStateError({id, state});
+    }
+    if(type === 'WrapKeyOperation') {
+      const unwrappedKey = await crypto.subtle.importKey(
+        'raw', base64url.decode(operation.unwrappedKey), RAW_KEY_ALGORITHM,
+        true, ['sign']);
+      const wrappedKey = await crypto.subtle.wrapKey(
+        'raw', unwrappedKey, key.cryptoKey, 'AES-KW');
+      return {wrappedKey: base64url.encode(new Uint8Array(wrappedKey))};
+    }
+    if(type === 'UnwrapKeyOperation') {
+      let unwrappedKey;
+      try {
+        unwrappedKey = await crypto.subtle.unwrapKey(
+          'raw', base64url.decode(operation.wrappedKey), key.cryptoKey,
+          'AES-KW', RAW_KEY_ALGORITHM, true, ['sign']);
+      } catch(e) {
+        throw _error({status: 400, message: 'Could not unwrap key.'});
+      }
+      const raw = await crypto.subtle.exportKey('raw', unwrappedKey);
+      return {unwrappedKey: base64url.encode(new Uint8Array(raw))};
+    }
+    if(type === 'RewrapKeyOperation') {
+      const destination = this.keys.get(operation.destinationKey);
+      if(!(destination && destination.controller === key.controller)) {
+        throw _error({status: 403, message: 'Destination key not allowed.'});
+      }
+      let unwrappedKey;
+      try {
+        unwrappedKey = await crypto.subtle.unwrapKey(
+          'raw', base64url.decode(operation.wrappedKey), key.cryptoKey,
+          'AES-KW', RAW_KEY_ALGORITHM, true, ['sign']);
+      } catch(e) {
+        throw _error({status: 400, message: 'Could not unwrap key.'});
+      }
+      const wrappedKey = await crypto.subtle.wrapKey(
+        'raw', unwrappedKey, destination.cryptoKey, 'AES-KW');
+      return {wrappedKey: base64url.encode(new Uint8Array(wrappedKey))};
+    }
+    if(type === 'SignOperation') {
+      const signature = await crypto.subtle.sign(
+        _signatureAlgorithm(key), key.cryptoKey,
+        base64url.decode(operation.verifyData));
+      return {signatureValue: base64url.encode(new Uint8Array(signature))};
+    }
+    if(type === 'DeriveSecretOperation') {
+      const {publicKey} = operation;
+      if(!(publicKey && publicKey.type === key.description.type)) {
+        throw _error({status: 400, message: 'Unsupported public key type.'});
+      }
+      const {algorithm} = KEY_PAIR_TYPES[publicKey.type];
+      let remoteKey;
+      try {
+        remoteKey = await crypto.subtle.importKey(
+          'raw', _fromBase58(publicKey.publicKeyBase58), algorithm, true, []);
+      } catch(e) {
+        throw _error({status: 400, message: 'Invalid public key.'});
+      }
+      const secret = await crypto.subtle.deriveBits(
+        {name: algorithm.name, public: remoteKey}, key.cryptoKey, 256);
+      return {secret: base64url.encode(new Uint8Array(secret))};
+    }
+    if(type === 'VerifyOperation') {
+      const verified = await crypto.subtle.verify(
+        _signatureAlgorithm(key), key.publicKey || key.cryptoKey,
+        base64url.decode(operation.signatureValue),
+        base64url.decode(operation.verifyData));
+      return {verified};
+    }
+    throw _error({status: 400, message: `Unknown operation "${type}".`});
+  }
+
+  async _generateKey({url, operation, request}) {
+    const {id, type, controller, threshold, previousKey, rotated} =
+      operation.invocationTarget;
+    if(id !== url) {
+      throw _error({status: 400, message: 'Key ID does not match URL.'});
+    }
+    if(this.keys.has(id)) {
+      throw _error({status: 409, message: `Key "${id}" already exists.`});
+    }
+    const params = KEY_TYPES[type] || KEY_PAIR_TYPES[type];
+    if(!params) {
+      throw _error({status: 400, message: `Unsupported key type "${type}".`});
+    }
+    await this._verifyInvocation(
+      {url, operation, request, controller, threshold});
+
+    let cryptoKey = await crypto.subtle.generateKey(
+      params.algorithm, false, params.usages);
+    let publicKey;
+    const description = {
+      id,
+      type,
+      controller,
+      created: new Date().toISOString()
+    };
+    if(KEY_PAIR_TYPES[type]) {
+      const raw = await crypto.subtle.exportKey('raw', cryptoKey.publicKey);
+      description.publicKeyBase58 = _toBase58(new Uint8Array(raw));
+      ({publicKey, privateKey: cryptoKey} = cryptoKey);
+    }
+    if(threshold) {
+      description.threshold = threshold;
+    }
+    if(previousKey) {
+      Object.assign(description, {previousKey, rotated});
+    }
+    this.keys.set(id, {controller, cryptoKey, publicKey, description});
+    return {id};
+  }
+
+  async _batch({url, operation, request}) {
+    const {controller, operations} = operation;
+    const invokers = await this._verifyInvocation(
+      {url, operation, request, controller});
+    const results = [];
+    for(const op of operations) {
+      try {
+        const key = this._getKey({id: op.invocationTarget});
+        const authorized = invokers.filter(
+          invoker => _toArray(key.controller).includes(invoker));
+        if(!(op.invocationTarget.startsWith(`${url}/`) &&
+          authorized.length > 0)) {
+          throw _error({status: 403, message: 'Key not allowed.'});
+        }
+        _assertInvokers(
+          {threshold: key.description.threshold, authorized});
+        results.push({result: await this._runOperation({key, operation: op})});
+      } catch(e) {
+        results.push(
+          {error: {status: e.status || 500, ..._errorDetails(e)}});
+      }
+    }
+    return {results};
+  }
+
+  _getKey({id}) {
+    const key = this.keys.get(id);
+    if(!key) {
+      throw _error({status: 404, message: `Key "${id}" not found.`});
+    }
+    return key;
+  }
+
+  async _listKeys({url, operation, request}) {
+    const {controller, filter = {}} = operation;
+    await this._verifyInvocation({url, operation, request, controller});
+    const keys = [...this.keys.values()]
+      .map(({description}) => description)
+      .filter(d => _toArray(d.controller).includes(controller))
+      .filter(d => Object.keys(filter).every(k => d[k] === filter[k]));
+    return {keys};
+  }
+
+  async _verifyInvocation({
+    url, operation, request = {}, controller, threshold = 1
+  }) {
+    const {headers = {}, body} = request;
+    if(headers.authorization) {
+      // an HTTP Signature has a single signer
+      const invoker = await this._verifySignature(
+        {url, headers, body, controller});
+      _assertInvokers({threshold, authorized: [invoker]});
+      return [invoker];
+    }
+
+    // each proof is verified on its own; the IDs of the controllers whose
+    // proofs verify are returned
+    const invokers = new Set();
+    let error;
+    for(const proof of _toArray(operation.proof)) {
+      try {
+        await this._verifyProof(
+          {url, operation: {...operation, proof}, controller});
+        invokers.add(proof.verificationMethod);
+      } catch(e) {
+        error = e;
+      }
+    }
+    if(invokers.size === 0) {
+      throw error || _error({status: 403, message: 'No invocation proof.'});
+    }
+    _assertInvokers({threshold, authorized: [...invokers]});
+    return [...invokers];
+  }
+
+  async _verifySignature({url, headers, body, controller}) {
+    const params = _parseParams(
+      headers.authorization.replace(/^Signature /, ''));
+    const signed = (params.headers || '').split(' ');
+    if(SIGNED_HEADERS.some(name => !signed.includes(name))) {
+      throw _error({status: 403, message: 'Required headers not signed.'});
+    }
+    const {created, expires} = params;
+    const now = Math.floor(Date.now() / 1000);
+    if(!(created <= now + CLOCK_SKEW && now - CLOCK_SKEW < expires)) {
+      throw _error({status: 403, message: 'HTTP Signature has expired.'});
+    }
+    const digest = new Uint8Array(await crypto.subtle.digest(
+      'SHA-256', new TextEncoder().encode(body)));
+    if(headers.digest !== `SHA-256=${_toBase64(digest)}`) {
+      throw _error({status: 400, message: 'Digest does not match body.'});
+    }
+    // only root capabilities are supported
+    const {id} = _parseParams(
+      (headers['capability-invocation'] || '').replace(/^zcap /, ''));
+    if(id !== url) {
+      throw _error({status: 403, message: 'Capability not supported.'});
+    }
+    const {keyId} = params;
+    if(!(keyId && keyId.startsWith(KEY_ID_PREFIX) &&
+      _toArray(controller).includes(keyId))) {
+      throw _error({status: 403, message: 'Invoker is not a controller.'});
+    }
+
+    const {host, pathname, search} = new URL(url);
+    const values = {
+      ...headers,
+      '(request-target)': `post ${pathname}${search}`,
+      '(created)': created,
+      '(expires)': expires,
+      host
+    };
+    const data = new TextEncoder().encode(
+      signed.map(name => `${name}: ${values[name]}`).join('\n'));
+    const keyPair = Ed25519KeyPair.fromFingerprint(
+      {fingerprint: keyId.substr(KEY_ID_PREFIX.length)});
+    const verified = await keyPair.verifier().verify(
+      {data, signature: _fromBase64(params.signature || '')});
+    if(!verified) {
+      throw _error({status: 403, message: 'Invalid HTTP Signature.'});
+    }
+    return keyId;
+  }
+
+  async _verifyProof({url, operation, controller}) {
+    const documentLoader = extendContextLoader(async documentUrl => {
+      if(documentUrl === KMS_CONTEXT_URL) {
+        return {contextUrl: null, documentUrl, document: KMS_CONTEXT};
+      }
+      if(documentUrl === url) {
+        // root capability for the key; any of the key's controllers may
+        // invoke it or delegate it
+        return _document({
+          '@context': SECURITY_CONTEXT_V2_URL,
+          id: url,
+          invocationTarget: url,
+          controller
+        });
+      }
+      if(documentUrl.startsWith(KEY_ID_PREFIX)) {
+        // master keys are self-controlled and identified by fingerprint
+        const keyPair = Ed25519KeyPair.fromFingerprint(
+          {fingerprint: documentUrl.substr(KEY_ID_PREFIX.length)});
+        return _document({
+          '@context': SECURITY_CONTEXT_V2_URL,
+          id: documentUrl,
+          type: 'Ed25519VerificationKey2018',
+          controller: documentUrl,
+          publicKeyBase58: keyPair.publicKeyBase58,
+          capabilityDelegation: [documentUrl],
+          capabilityInvocation: [documentUrl]
+        });
+      }
+      throw new Error(`Document "${documentUrl}" not found.`);
+    });
+
+    const {verified, error} = await jsigs.verify(operation, {
+      suite: new Ed25519Signature2018(),
+      purpose: new CapabilityInvocation({
+        expectedTarget: url,
+        suite: new Ed25519Signature2018(),
+        inspectCapabilityChain: _inspectCapabilityChain
+      }),
+      documentLoader,
+      // keeps the `@context` of an embedded delegated capability
+      compactProof: false
+    });
+    if(!verified) {
+      throw _error({
+        status: 403,
+        message: `Capability invocation not authorized: ${error}`
+      });
+    }
+  }
+}
+
+function _parseParams(value) {
+  const params = {};
+  // `created` and `expires` are integers and are not quoted
+  for(const [, name, quoted, integer] of
+    value.matchAll(/(\w+)=(?:"([^"]*)"|(\d+))/g)) {
+    params[name] = quoted === undefined ? Number(integer) : quoted;
+  }
+  return params;
+}
+
+function _toBase64(bytes) {
+  const encoded = base64url.encode(bytes).replace(/-/g, '+').replace(/_/g, '/');
+  return encoded + '='.repeat((4 - encoded.length % 4) % 4);
+}
+
+function _fromBase64(encoded) {
+  return base64url.decode(
+    encoded.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, ''));
+}
+
+function _toBase58(bytes) {
+  // big-endian base conversion; each leading zero byte is a leading '1'
+  const digits = [];
+  for(const byte of bytes) {
+    let carry = byte;
+    for(let i = 0; i < digits.length; ++i) {
+      carry += digits[i] << 8;
+      digits[i] = carry % 58;
+      carry = Math.floor(carry / 58);
+    }
+    for(; carry > 0; carry = Math.floor(carry / 58)) {
+      digits.push(carry % 58);
+    }
+  }
+  const zeros = bytes.findIndex(byte => byte !== 0);
+  return '1'.repeat(zeros === -1 ? bytes.length : zeros) +
+    digits.reverse().map(digit => BASE58_ALPHABET[digit]).join('');
+}
+
+function _fromBase58(encoded) {
+  // the inverse of `_toBase58`
+  const bytes = [];
+  for(const char of encoded) {
+    let carry = BASE58_ALPHABET.indexOf(char);
+    if(carry === -1) {
+      throw new Error(`Invalid base58 character "${char}".`);
+    }
+    for(let i = 0; i < bytes.length; ++i) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    for(; carry > 0; carry >>= 8) {
+      bytes.push(carry & 0xff);
+    }
+  }
+  const zeros = [...encoded].findIndex(char => char !== '1');
+  return new Uint8Array([
+    ...new Array(zeros === -1 ? encoded.length : zeros).fill(0),
+    ...bytes.reverse()
+  ]);
+}
+
+// the WebCrypto algorithm a key signs with; HMAC keys are not key pairs
+function _signatureAlgorithm(key) {
+  const {signature = 'HMAC'} = KEY_PAIR_TYPES[key.description.type] || {};
+  return signature;
+}
+
+// delegated capabilities may expire; the chain includes every capability
+// from the root to the invoked one
+async function _inspectCapabilityChain({capabilityChain}) {
+  const now = Date.now();
+  const expired = capabilityChain.find(
+    ({expires}) => expires !== undefined && Date.parse(expires) <= now);
+  if(expired) {
+    return {
+      valid: false,
+      error: new Error(`Capability "${expired.id}" has expired.`)
+    };
+  }
+  return {valid: true};
+}
+
+function _document(document) {
+  return {contextUrl: null, documentUrl: document.id, document};
+}
+
+function _error({status, message}) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function _assertInvokers({threshold = 1, authorized}) {
+  if(authorized.length < threshold) {
+    const error = _error({
+      status: 403,
+      message: `${threshold} of the key's controllers must sign but only ` +
+        `${authorized.length} did.`
+    });
+    error.threshold = threshold;
+    throw error;
+  }
+}
+
+function _keyStateError({id, state}) {
+  const error = _error({status: 409, message: `Key "${id}" is ${state}.`});
+  error.keyState = state;
+  return error;
+}
+
+function _errorDetails(error) {
+  const details = {message: error.message, type: error.name};
+  if(error.keyState) {
+    details.keyState = error.keyState;
+  }
+  if(error.threshold) {
+    details.threshold = error.threshold;
+  }
+  return details;
+}
+
+function _toArray(value) {
+  return Array.isArray(value) ? value : [value];
+}